@@ -40,31 +40,40 @@ global.IntersectionObserver = class IntersectionObserver {
   disconnect () {}
 }
 
+/**
+ * Test files with the node environment (`@jest-environment node`) have no DOM
+ */
+const hasDOM = typeof window !== 'undefined'
+
 /**
  * Mock window.matchMedia
  * Used by WordPress components for responsive behavior
  */
-Object.defineProperty(window, 'matchMedia', {
-  writable: true,
-  value: jest.fn().mockImplementation((query) => ({
-    matches: false,
-    media: query,
-    onchange: null,
-    addListener: jest.fn(),
-    removeListener: jest.fn(),
-    addEventListener: jest.fn(),
-    removeEventListener: jest.fn(),
-    dispatchEvent: jest.fn(),
-  })),
-})
+if (hasDOM) {
+  Object.defineProperty(window, 'matchMedia', {
+    writable: true,
+    value: jest.fn().mockImplementation((query) => ({
+      matches: false,
+      media: query,
+      onchange: null,
+      addListener: jest.fn(),
+      removeListener: jest.fn(),
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+      dispatchEvent: jest.fn(),
+    })),
+  })
+}
 
 /**
  * Mock scrollTo
  * Not implemented in jsdom
  */
-window.scrollTo = jest.fn()
-Element.prototype.scrollTo = jest.fn()
-Element.prototype.scrollIntoView = jest.fn()
+if (hasDOM) {
+  window.scrollTo = jest.fn()
+  Element.prototype.scrollTo = jest.fn()
+  Element.prototype.scrollIntoView = jest.fn()
+}
 
 /**
  * Mock requestAnimationFrame
@@ -94,7 +103,7 @@ console.error = (...args) => {
 /**
  * Polyfill for PointerEvent (not available in jsdom)
  */
-if (typeof PointerEvent === 'undefined') {
+if (hasDOM && typeof PointerEvent === 'undefined') {
   class PointerEvent extends MouseEvent {
     constructor (type, params = {}) {
       super(type, params)
@@ -117,7 +126,7 @@ if (typeof PointerEvent === 'undefined') {
 /**
  * Polyfill for TouchEvent (not available in jsdom)
  */
-if (typeof TouchEvent === 'undefined') {
+if (hasDOM && typeof TouchEvent === 'undefined') {
   class Touch {
     constructor (params = {}) {
       this.identifier = params.identifier || 0
@@ -150,6 +159,10 @@ if (typeof TouchEvent === 'undefined') {
 
 // Reset DOM between tests
 beforeEach(() => {
+  if (!hasDOM) {
+    return
+  }
+
   // Clear the document body
   document.body.innerHTML = ''
 
@@ -1,5 +1,83 @@
 'use strict';
 
+// Intl.Segmenter instances by locale.
+const wordSegmenters = new Map();
+
+// Returns a cached word segmenter, or null without Intl.Segmenter support.
+const getWordSegmenter = ( locale ) => {
+	if ( typeof Intl === 'undefined' || typeof Intl.Segmenter !== 'function' ) {
+		return null;
+	}
+	const key = String( locale ?? '' );
+	if ( ! wordSegmenters.has( key ) ) {
+		wordSegmenters.set(
+			key,
+			new Intl.Segmenter( locale, { granularity: 'word' } )
+		);
+	}
+	return wordSegmenters.get( key );
+};
+
+// Lowercases with the locale rules when a locale is given, `I` becomes `ı` in Turkish.
+const toLowerWord = ( word, locale ) =>
+	locale ? word.toLocaleLowerCase( locale ) : word.toLowerCase();
+
+const toUpperWord = ( word, locale ) =>
+	locale ? word.toLocaleUpperCase( locale ) : word.toUpperCase();
+
+// Changes the case of the first letter only, so `HTML` in `myHTMLSlider` is kept.
+const toInitialWord = ( word, changeCase, locale ) => {
+	const [ first = '', ...rest ] = word;
+	return changeCase( first, locale ) + rest.join( '' );
+};
+
+/**
+ * Splits a string into words, the tokenizer behind every case converter.
+ *
+ * Words are runs of Unicode letters and numbers. Anything else separates words, and
+ * apostrophes inside words are dropped. Words are also split where a lowercase letter
+ * or a number meets an uppercase letter, and where an acronym meets a capitalized word,
+ * so `XMLHttpRequest` gives `XML`, `Http` and `Request`. Numbers stay with the letters
+ * before them. With `Intl.Segmenter`, text without spaces, like Thai or Japanese, is
+ * split on dictionary words for the locale. The words keep their case.
+ *
+ * @param {string} string           - The string to split.
+ * @param {Object} [options={}]     - Split options.
+ * @param {string} [options.locale] - Locale for `Intl.Segmenter` word boundaries.
+ * @return {string[]} The words.
+ *
+ * @example
+ * splitWords('XMLHttpRequest'); // ['XML', 'Http', 'Request']
+ * splitWords('iPhone13Pro'); // ['i', 'Phone13', 'Pro']
+ * splitWords('taille_chaussure-Été'); // ['taille', 'chaussure', 'Été']
+ * splitWords("Men's Shirts"); // ['Mens', 'Shirts']
+ *
+ * @since 0.14.0
+ */
+export function splitWords( string, { locale } = {} ) {
+	const segmenter = getWordSegmenter( locale );
+	return (
+		String( string ?? '' )
+			.replace( /(\p{L})['’](\p{L})/gu, '$1$2' )
+			.split( /[^\p{L}\p{N}\p{M}]+/u )
+			// Only non ASCII chunks can hold words without spaces between them
+			.flatMap( ( chunk ) =>
+				segmenter && ! /^[A-Za-z0-9]*$/.test( chunk )
+					? Array.from(
+							segmenter.segment( chunk ),
+							( { segment } ) => segment
+					  )
+					: [ chunk ]
+			)
+			.flatMap( ( chunk ) =>
+				chunk.split(
+					/(?<=[\p{Ll}\p{N}])(?=\p{Lu})|(?<=\p{Lu})(?=\p{Lu}\p{Ll})/u
+				)
+			)
+			.filter( Boolean )
+	);
+}
+
 /**
  * Converts a string to kebab-case (also known as dash-case or lisp-case).
  *
@@ -7,7 +85,9 @@
  * PascalCase, snake_case, dot.case, or space separated) into kebab-case format
  * where words are lowercase and separated by hyphens.
  *
- * @param {string} string - The input string to convert to kebab-case
+ * @param {string} string           - The input string to convert to kebab-case
+ * @param {Object} [options={}]     - Conversion options.
+ * @param {string} [options.locale] - Locale for word boundaries and letter case, like `tr` for Turkish.
  * @return {string} The converted string in kebab-case format
  *
  * @example
@@ -18,7 +98,7 @@
  * @example
  * // Converting from PascalCase
  * toKebabCase('UserProfile') // Returns: 'user-profile'
- * toKebabCase('XMLHttpRequest') // Returns: 'xmlhttp-request'
+ * toKebabCase('XMLHttpRequest') // Returns: 'xml-http-request'
  *
  * @example
  * // Converting from snake_case
@@ -40,20 +120,17 @@
  * toKebabCase('--leading-trailing--') // Returns: 'leading-trailing'
  * toKebabCase('iPhone13Pro') // Returns: 'i-phone13-pro'
  *
+ * @example
+ * // Unicode letters and locale-specific lowercasing
+ * toKebabCase('Größe Étiquette') // Returns: 'größe-étiquette'
+ * toKebabCase('IĞDIR İLİ', { locale: 'tr' }) // Returns: 'ığdır-ili'
+ *
  * @since 0.8.0
  */
-export function toKebabCase( string ) {
-	return (
-		string
-			// Find uppercase letters and insert hyphen before them, then lowercase the letter
-			.replace( /([^A-Z-_\s+])([A-Z])/g, '$1-$2' )
-			// Replace any underscores, dots, or spaces with hyphens
-			.replace( /[-._:~\s]/g, '-' )
-			// Remove any leading or trailing hyphens that may have been created
-			.replace( /^-+|-+$/g, '' )
-			// Convert the entire string to lowercase
-			.toLowerCase()
-	);
+export function toKebabCase( string, { locale } = {} ) {
+	return splitWords( string, { locale } )
+		.map( ( word ) => toLowerWord( word, locale ) )
+		.join( '-' );
 }
 
 /**
@@ -63,7 +140,9 @@ export function toKebabCase( string ) {
  * PascalCase, kebab-case, dot.case, or space separated) into snake_case format
  * where words are lowercase and separated by underscores.
  *
- * @param {string} string - The input string to convert to snake_case
+ * @param {string} string           - The input string to convert to snake_case
+ * @param {Object} [options={}]     - Conversion options.
+ * @param {string} [options.locale] - Locale for word boundaries and letter case, like `tr` for Turkish.
  * @return {string} The converted string in snake_case format
  *
  * @example
@@ -75,7 +154,7 @@ export function toKebabCase( string ) {
  * @example
  * // Converting from PascalCase
  * toSnakeCase('UserProfile') // Returns: 'user_profile'
- * toSnakeCase('XMLHttpRequest') // Returns: 'xmlhttp_request'
+ * toSnakeCase('XMLHttpRequest') // Returns: 'xml_http_request'
  * toSnakeCase('DatabaseConnection') // Returns: 'database_connection'
  *
  * @example
@@ -100,7 +179,7 @@ export function toKebabCase( string ) {
  * toSnakeCase('already_snake_case') // Returns: 'already_snake_case'
  * toSnakeCase('__leading_trailing__') // Returns: 'leading_trailing'
  * toSnakeCase('iPhone13Pro') // Returns: 'i_phone13_pro'
- * toSnakeCase('HTTPSConnection') // Returns: 'httpsconnection'
+ * toSnakeCase('HTTPSConnection') // Returns: 'https_connection'
  *
  * @example
  * // Real-world usage in API transformation
@@ -118,18 +197,10 @@ export function toKebabCase( string ) {
  * // Result: { first_name: 'John', last_name: 'Doe', email_address: 'john@example.com', phone_number: '+1234567890' }
  * @since 0.8.0
  */
-export function toSnakeCase( string ) {
-	return (
-		string
-			// Find uppercase letters and insert underscore before them, then lowercase the letter
-			.replace( /([^A-Z-_\s+])([A-Z])/g, '$1-$2' )
-			// Replace any hyphens, dots, or spaces with underscores
-			.replace( /[-._:~\s]/g, '_' )
-			// Remove any leading or trailing underscores that may have been created
-			.replace( /^_+|_+$/g, '' )
-			// Convert the entire string to lowercase
-			.toLowerCase()
-	);
+export function toSnakeCase( string, { locale } = {} ) {
+	return splitWords( string, { locale } )
+		.map( ( word ) => toLowerWord( word, locale ) )
+		.join( '_' );
 }
 
 /**
@@ -140,7 +211,9 @@ export function toSnakeCase( string ) {
  * format where words are uppercase and separated by underscores. This is the standard
  * convention for constants, environment variables, and configuration keys.
  *
- * @param {string} string - The input string to convert to CONSTANT_CASE
+ * @param {string} string           - The input string to convert to CONSTANT_CASE
+ * @param {Object} [options={}]     - Conversion options.
+ * @param {string} [options.locale] - Locale for word boundaries and letter case, like `tr` for Turkish.
  * @return {string} The converted string in CONSTANT_CASE format
  *
  * @example
@@ -152,7 +225,7 @@ export function toSnakeCase( string ) {
  * @example
  * // Converting from PascalCase
  * toConstantCase('UserProfile') // Returns: 'USER_PROFILE'
- * toConstantCase('XMLHttpRequest') // Returns: 'XMLHTTP_REQUEST'
+ * toConstantCase('XMLHttpRequest') // Returns: 'XML_HTTP_REQUEST'
  * toConstantCase('DatabaseConnection') // Returns: 'DATABASE_CONNECTION'
  *
  * @example
@@ -230,29 +303,24 @@ export function toSnakeCase( string ) {
  *
  * @since 0.8.0
  */
-export function toConstantCase( string ) {
-	return (
-		string
-			// Insert underscores before uppercase letters (but not at start)
-			.replace( /([a-z0-9])([A-Z])/g, '$1_$2' )
-			// Replace any separator characters with underscore
-			.replace( /[-._:~\s]+/g, '_' )
-			// Remove leading/trailing underscores
-			.replace( /^_+|_+$/g, '' )
-			// Convert the entire string to uppercase
-			.toUpperCase()
-	);
+export function toConstantCase( string, { locale } = {} ) {
+	return splitWords( string, { locale } )
+		.map( ( word ) => toUpperWord( word, locale ) )
+		.join( '_' );
 }
 
 /**
  * Converts a string to camelCase format by lowercasing the first letter and capitalizing
- * every letter that follows a space, hyphen, or underscore, then removing the separators.
+ * the first letter of every following word from `splitWords`. Other letters keep their case,
+ * so keys built from existing names, like registry and dataset keys, do not change.
  *
  * This function transforms strings from various naming conventions (kebab-case, snake_case,
  * PascalCase, space-separated, etc.) into camelCase format, which is the standard naming
  * convention for variables, properties, and method names in JavaScript.
  *
- * @param {string} string - The string to convert to camelCase
+ * @param {string} string           - The string to convert to camelCase
+ * @param {Object} [options={}]     - Conversion options.
+ * @param {string} [options.locale] - Locale for word boundaries and letter case, like `tr` for Turkish.
  * @return {string} The converted string in camelCase format
  *
  * @example
@@ -568,32 +636,29 @@ export function toConstantCase( string ) {
  *
  * @since 0.3.0
  */
-export function toCamelCase( string ) {
-	return (
-		string
-			// Match:
-			// 1) uppercase letter at start ^([A-Z])
-			// OR
-			// 2) word char after separator [-._:~\s](\w)
-			// If separator+char: uppercase the char | If start uppercase: lowercase it
-			.replace( /^([a-z])|[-._:~\s](\w)/gi, ( match, p1, p2 ) => {
-				if ( p2 ) {
-					return p2.toUpperCase(); // Found char after separator - make it uppercase
-				}
-				return p1.toLowerCase(); // Found uppercase at start - make it lowercase
-			} )
-	);
+export function toCamelCase( string, { locale } = {} ) {
+	return splitWords( string, { locale } )
+		.map( ( word, index ) =>
+			toInitialWord(
+				word,
+				index === 0 ? toLowerWord : toUpperWord,
+				locale
+			)
+		)
+		.join( '' );
 }
 
 /**
  * Converts a string to UpperCamelCase (PascalCase) format by capitalizing the first letter
- * and every letter that follows a dot, space, hyphen, or underscore, then removing the separators.
+ * of every word from `splitWords`. Other letters keep their case.
  *
  * This function transforms strings from various naming conventions (kebab-case, snake_case,
  * space-separated, dot.separated, etc.) into UpperCamelCase format, which is commonly used for class names,
  * constructor functions, and component names in JavaScript.
  *
- * @param {string} string - The string to convert to UpperCamelCase
+ * @param {string} string           - The string to convert to UpperCamelCase
+ * @param {Object} [options={}]     - Conversion options.
+ * @param {string} [options.locale] - Locale for word boundaries and letter case, like `tr` for Turkish.
  * @return {string} The converted string in UpperCamelCase format
  *
  * @example
@@ -797,26 +862,226 @@ export function toCamelCase( string ) {
  *
  * @since 0.3.0
  */
-export function toUpperCamelCase( string ) {
+export function toUpperCamelCase( string, { locale } = {} ) {
 	if ( string.toLowerCase() === 'storepress' ) {
 		return 'StorePress';
 	}
-	return (
-		string
-			// Match:
-			// 1) lowercase letter at start ^([a-z])
-			// OR
-			// 2) word char after separator [-._:~\s](\w)
-			// If separator+char: uppercase the char | If start lowercase: uppercase it
-			.replace( /^([a-z])|[-._:~\s](\w)/gi, ( match, p1, p2 ) => {
-				if ( p2 ) {
-					return p2.toUpperCase(); // Found char after separator - make it uppercase
-				}
-				return p1.toUpperCase(); // Found lowercase at start - make it uppercase
-			} )
-	);
+	return splitWords( string, { locale } )
+		.map( ( word ) => toInitialWord( word, toUpperWord, locale ) )
+		.join( '' );
+}
+
+// Keys that would reach Object.prototype instead of the object itself.
+const UNSAFE_OBJECT_KEYS = new Set( [
+	'__proto__',
+	'constructor',
+	'prototype',
+] );
+
+/**
+ * Checks whether a value is a plain object: an object literal or an `Object.create( null )`
+ * object, not an array, a RegExp or another class instance.
+ *
+ * @param {*} value - The value to check
+ * @return {boolean} True for plain objects
+ */
+const isPlainObject = ( value ) => {
+	if ( typeof value !== 'object' || value === null ) {
+		return false;
+	}
+	const prototype = Object.getPrototypeOf( value );
+	return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Creates a deep merge function with its own array, clone and customizer strategy.
+ *
+ * Plain objects are merged key by key. Arrays follow the `arrays` strategy:
+ * - `replace` - The later array replaces the earlier one
+ * - `concat` - Items of the later array are appended
+ * - `union` - Like `concat`, without duplicate items
+ * - `byKey` - Objects with the same `arrayKey` value are merged, other items are appended
+ *
+ * Any other value, including Map, Set, Date, RegExp and class instances, replaces the
+ * earlier value. With `clone`, plain objects, arrays, Map, Set, Date and RegExp values are
+ * copied, so the result shares none of them with the sources; class instances are kept
+ * by reference. `__proto__`, `constructor` and `prototype` keys are skipped and circular
+ * references throw an error.
+ *
+ * @param {Object}   [options={}]               - Merge options.
+ * @param {string}   [options.arrays='replace'] - Array strategy: `replace`, `concat`, `union` or `byKey`.
+ * @param {string}   [options.arrayKey='id']    - Key identifying array items for the `byKey` strategy.
+ * @param {boolean}  [options.clone=true]       - Copy values instead of sharing them with the sources.
+ * @param {Function} [options.customizer=null]  - Called with `(targetValue, sourceValue, key, path)` for every key,
+ *                                              `targetValue` is `undefined` for new keys. Its return value is used,
+ *                                              unless it is `undefined`.
+ * @return {Function} Merge function taking any number of source objects and returning a new object.
+ *
+ * @example
+ * const mergeOptions = createMerger({ arrays: 'byKey' });
+ *
+ * mergeOptions(
+ *   { items: [ { id: 1, label: 'One' } ] },
+ *   { items: [ { id: 1, hidden: true }, { id: 2, label: 'Two' } ] }
+ * );
+ * // { items: [ { id: 1, label: 'One', hidden: true }, { id: 2, label: 'Two' } ] }
+ *
+ * @example
+ * // Keep functions of earlier sources when a later source sets null
+ * const mergeCallbacks = createMerger({
+ *   customizer: (targetValue, sourceValue) =>
+ *     sourceValue === null && typeof targetValue === 'function' ? targetValue : undefined,
+ * });
+ *
+ * @since 0.14.0
+ */
+export function createMerger( {
+	arrays = 'replace',
+	arrayKey = 'id',
+	clone = true,
+	customizer = null,
+} = {} ) {
+	// Registers a value on the current path, throws when it is already on it.
+	const enter = ( value, path, ancestors ) => {
+		if ( ancestors.has( value ) ) {
+			throw new Error(
+				`Merge: circular reference at "${
+					path.join( '.' ) || '(root)'
+				}".`
+			);
+		}
+		return new Set( ancestors ).add( value );
+	};
+
+	const copy = ( value, path, ancestors ) => {
+		if ( ! clone || typeof value !== 'object' || value === null ) {
+			return value;
+		}
+		if ( value instanceof Date ) {
+			return new Date( value.getTime() );
+		}
+		if ( value instanceof RegExp ) {
+			const regex = new RegExp( value.source, value.flags );
+			regex.lastIndex = value.lastIndex;
+			return regex;
+		}
+		if ( Array.isArray( value ) ) {
+			const inside = enter( value, path, ancestors );
+			return value.map( ( item, index ) =>
+				copy( item, [ ...path, index ], inside )
+			);
+		}
+		if ( value instanceof Map ) {
+			const inside = enter( value, path, ancestors );
+			return new Map(
+				[ ...value ].map( ( [ key, item ] ) => [
+					key,
+					copy( item, [ ...path, key ], inside ),
+				] )
+			);
+		}
+		if ( value instanceof Set ) {
+			const inside = enter( value, path, ancestors );
+			return new Set(
+				[ ...value ].map( ( item ) => copy( item, path, inside ) )
+			);
+		}
+		if ( isPlainObject( value ) ) {
+			return mergeObject( {}, value, path, ancestors );
+		}
+		return value;
+	};
+
+	const mergeArray = ( target, source, path, ancestors ) => {
+		const inside = enter( source, path, ancestors );
+		const items = source.map( ( item, index ) =>
+			copy( item, [ ...path, index ], inside )
+		);
+
+		switch ( arrays ) {
+			case 'concat':
+				return [ ...target, ...items ];
+			case 'union':
+				return [ ...new Set( [ ...target, ...items ] ) ];
+			case 'byKey': {
+				const result = [ ...target ];
+				source.forEach( ( item, index ) => {
+					const position = isPlainObject( item )
+						? result.findIndex(
+								( current ) =>
+									isPlainObject( current ) &&
+									typeof item[ arrayKey ] !== 'undefined' &&
+									current[ arrayKey ] === item[ arrayKey ]
+						  )
+						: -1;
+					if ( position === -1 ) {
+						result.push( items[ index ] );
+					} else {
+						result[ position ] = mergeObject(
+							result[ position ],
+							item,
+							[ ...path, index ],
+							inside
+						);
+					}
+				} );
+				return result;
+			}
+			default:
+				return items;
+		}
+	};
+
+	const mergeValue = ( target, source, key, path, ancestors ) => {
+		if ( typeof customizer === 'function' ) {
+			const value = customizer( target, source, key, path );
+			if ( typeof value !== 'undefined' ) {
+				return value;
+			}
+		}
+		if ( isPlainObject( target ) && isPlainObject( source ) ) {
+			return mergeObject( target, source, path, ancestors );
+		}
+		if ( Array.isArray( target ) && Array.isArray( source ) ) {
+			return mergeArray( target, source, path, ancestors );
+		}
+		return copy( source, path, ancestors );
+	};
+
+	const mergeObject = ( target, source, path, ancestors ) => {
+		const inside = enter( source, path, ancestors );
+		const result = { ...target };
+		Object.keys( source ).forEach( ( key ) => {
+			if ( UNSAFE_OBJECT_KEYS.has( key ) ) {
+				return;
+			}
+			const current = Object.prototype.hasOwnProperty.call( result, key )
+				? result[ key ]
+				: undefined;
+			result[ key ] = mergeValue(
+				current,
+				source[ key ],
+				key,
+				[ ...path, key ],
+				inside
+			);
+		} );
+		return result;
+	};
+
+	return ( ...sources ) =>
+		sources.reduce(
+			( result, source ) =>
+				typeof source === 'object' && source !== null
+					? mergeObject( result, source, [], new Set() )
+					: result,
+			{}
+		);
 }
 
+// Default preset behind deepMerge.
+const mergeDefaults = createMerger();
+
 /**
  * Recursively merges multiple objects into a single object, with later sources
  * taking precedence over earlier ones. Only plain objects are deeply merged;
@@ -827,8 +1092,13 @@ export function toUpperCamelCase( string ) {
  * - Arrays completely replace previous arrays (no concatenation)
  * - Null values replace previous values
  * - Primitive values (string, number, boolean) replace previous values
+ * - Map, Set, Date, RegExp and class instances replace previous values
  * - Later sources override earlier sources at each level
  *
+ * Plain objects, arrays, Map, Set, Date and RegExp values are copied, so changing the
+ * result never changes the sources. This is the default preset of `createMerger`, use it
+ * for other array strategies or a customizer.
+ *
  * @param {...Object} sources - One or more objects to merge
  * @return {Object} A new object containing the merged properties from all sources
  *
@@ -993,26 +1263,257 @@ export function toUpperCamelCase( string ) {
  * @since 0.6.0
  */
 export function deepMerge( ...sources ) {
-	const result = {};
-	for ( const src of sources ) {
-		for ( const key in src ) {
-			if ( src.hasOwnProperty( key ) ) {
-				const isObject =
-					typeof src[ key ] === 'object' &&
-					src[ key ] !== null &&
-					! Array.isArray( src[ key ] ) &&
-					typeof result[ key ] === 'object' &&
-					result[ key ] !== null &&
-					! Array.isArray( result[ key ] );
-				if ( isObject ) {
-					result[ key ] = deepMerge( result[ key ], src[ key ] );
-				} else {
-					result[ key ] = src[ key ];
-				}
-			}
+	return mergeDefaults( ...sources );
+}
+
+// Compares values, `seen` pairs objects already being compared to stop at circular references.
+const compareValues = ( a, b, seen ) => {
+	if ( Object.is( a, b ) ) {
+		return true;
+	}
+	if (
+		typeof a !== 'object' ||
+		typeof b !== 'object' ||
+		a === null ||
+		b === null ||
+		Object.getPrototypeOf( a ) !== Object.getPrototypeOf( b )
+	) {
+		return false;
+	}
+	if ( a instanceof RegExp ) {
+		return a.source === b.source && a.flags === b.flags;
+	}
+	if ( a instanceof Date ) {
+		return Object.is( a.getTime(), b.getTime() );
+	}
+	if ( seen.get( a ) === b ) {
+		return true;
+	}
+	seen.set( a, b );
+
+	if ( Array.isArray( a ) ) {
+		return (
+			a.length === b.length &&
+			a.every( ( item, index ) =>
+				compareValues( item, b[ index ], seen )
+			)
+		);
+	}
+	if ( a instanceof Map ) {
+		return (
+			a.size === b.size &&
+			[ ...a ].every(
+				( [ key, value ] ) =>
+					b.has( key ) && compareValues( value, b.get( key ), seen )
+			)
+		);
+	}
+	if ( a instanceof Set ) {
+		return (
+			a.size === b.size && [ ...a ].every( ( value ) => b.has( value ) )
+		);
+	}
+	if ( isPlainObject( a ) ) {
+		const keys = Object.keys( a );
+		return (
+			keys.length === Object.keys( b ).length &&
+			keys.every(
+				( key ) =>
+					Object.prototype.hasOwnProperty.call( b, key ) &&
+					compareValues( a[ key ], b[ key ], seen )
+			)
+		);
+	}
+
+	// Class instances are equal by reference only, like deepMerge keeps them.
+	return false;
+};
+
+/**
+ * Checks if two values are structurally equal.
+ *
+ * Plain objects and arrays are compared by content, RegExp values by source and flags,
+ * Date values by time, Map values by entries and Set values by items. Class instances
+ * are equal only to themselves. Circular references are supported.
+ *
+ * @param {*} a - First value.
+ * @param {*} b - Second value.
+ * @return {boolean} True if the values are equal.
+ *
+ * @example
+ * isDeepEqual({ pattern: /sku/i, sizes: [ 1, 2 ] }, { pattern: /sku/i, sizes: [ 1, 2 ] }); // true
+ * isDeepEqual({ sizes: [ 1, 2 ] }, { sizes: [ 2, 1 ] }); // false
+ *
+ * @since 0.14.0
+ */
+export function isDeepEqual( a, b ) {
+	return compareValues( a, b, new Map() );
+}
+
+// Joins keys into a findObjectValue path, quoting keys that hold separators or brackets.
+const toObjectPath = ( keys ) =>
+	keys.reduce( ( path, key ) => {
+		if ( /^[^\s.\-_[\]"'*\\]+$/.test( key ) ) {
+			return path === '' ? key : `${ path }.${ key }`;
+		}
+		return `${ path }["${ key.replace( /["\\]/g, '\\$&' ) }"]`;
+	}, '' );
+
+const collectChanges = ( previous, current, keys, changes ) => {
+	const names = new Set( [
+		...Object.keys( previous ),
+		...Object.keys( current ),
+	] );
+
+	for ( const key of names ) {
+		const keyPath = [ ...keys, key ];
+		const path = toObjectPath( keyPath );
+		const oldValue = previous[ key ];
+		const value = current[ key ];
+
+		if ( ! Object.prototype.hasOwnProperty.call( previous, key ) ) {
+			changes.push( { type: 'add', path, value, oldValue } );
+		} else if ( ! Object.prototype.hasOwnProperty.call( current, key ) ) {
+			changes.push( { type: 'remove', path, value, oldValue } );
+		} else if ( isPlainObject( oldValue ) && isPlainObject( value ) ) {
+			collectChanges( oldValue, value, keyPath, changes );
+		} else if ( ! isDeepEqual( oldValue, value ) ) {
+			changes.push( { type: 'change', path, value, oldValue } );
+		}
+	}
+
+	return changes;
+};
+
+/**
+ * Lists the differences between two objects.
+ *
+ * Plain objects are compared key by key. Like in `deepMerge`, other values such as arrays
+ * are compared as a whole with `isDeepEqual` and reported as one change. Paths work with
+ * `findObjectValue` and `applyPatch`: keys are joined with `.`, keys holding separators
+ * are quoted (`meta["sale_price"]`).
+ *
+ * @param {Object} [previous={}] - The object before the change.
+ * @param {Object} [current={}]  - The object after the change.
+ * @return {Array<{type: string, path: string, value: *, oldValue: *}>} Changes with `add`, `remove` or `change` type.
+ *
+ * @example
+ * diffObjects({ speed: 300, arrows: true }, { speed: 500, dots: true });
+ * // [
+ * //   { type: 'change', path: 'speed', value: 500, oldValue: 300 },
+ * //   { type: 'remove', path: 'arrows', value: undefined, oldValue: true },
+ * //   { type: 'add', path: 'dots', value: true, oldValue: undefined },
+ * // ]
+ *
+ * @since 0.14.0
+ */
+export function diffObjects( previous = {}, current = {} ) {
+	return collectChanges( previous ?? {}, current ?? {}, [], [] );
+}
+
+/**
+ * Applies `diffObjects` changes to an object.
+ *
+ * `add` and `change` entries set their value, `remove` entries delete their path.
+ * Follows the `setObjectValue` immutable mode and prototype pollution rules, but
+ * returns a changed copy by default.
+ *
+ * @param {Object}                                        obj                      - Object to patch.
+ * @param {Array<{type: string, path: string, value: *}>} changes                  - Changes from `diffObjects`.
+ * @param {Object}                                        [options={}]             - Patch options.
+ * @param {boolean}                                       [options.immutable=true] - Return a patched copy instead of changing `obj`.
+ * @return {Object} The patched object.
+ *
+ * @example
+ * const changes = diffObjects(previousOptions, currentOptions);
+ * isDeepEqual(applyPatch(previousOptions, changes), currentOptions); // true
+ *
+ * @since 0.14.0
+ */
+export function applyPatch( obj, changes = [], { immutable = true } = {} ) {
+	return changes.reduce( ( result, { type, path, value } ) => {
+		const options = { notation: '.', immutable };
+		if ( type === 'remove' ) {
+			return deleteObjectValue( result, path, options );
 		}
+		return setObjectValue( result, path, value, options );
+	}, obj );
+}
+
+// Version of this copy of the package, a test checks it against package.json.
+const VERSION = '0.13.0';
+
+// Registries whose version mismatch was already logged.
+const reportedRegistries = new WeakSet();
+
+// Holds the default registry without a DOM.
+const serverRoot = {};
+
+/**
+ * Creates an isolated registry of plugin, instance and event stores.
+ *
+ * Functions that read or write plugin state accept a registry as their last argument
+ * and fall back to the default, global registry (`window.StorePress`). An isolated
+ * registry keeps plugins of separate bundles or test cases apart.
+ *
+ * @return {{$Version: string, $Plugins: Object, $Events: Object}} The registry
+ *
+ * @example
+ * const registry = createRegistry();
+ *
+ * const Slider = createStorePressPlugin( {
+ *   selector: '.slider',
+ *   plugin: Plugin,
+ *   namespace: 'slider',
+ *   registry,
+ * } );
+ *
+ * registry.$Plugins.Slider.Plugin === Slider; // true
+ * window.StorePress?.$Plugins?.Slider; // undefined
+ *
+ * @since 0.14.0
+ */
+export function createRegistry() {
+	return {
+		$Version: VERSION,
+		$Plugins: {},
+		$Events: {},
+	};
+}
+
+/**
+ * Returns the default registry stored on `window.StorePress`, creating it when needed.
+ *
+ * Every copy of the package shares the default registry. The first copy records its
+ * version; a copy with another version logs the mismatch once.
+ *
+ * @return {{$Version: string, $Plugins: Object, $Events: Object}} The default registry
+ *
+ * @since 0.14.0
+ */
+export function getDefaultRegistry() {
+	// Without a DOM the registry is kept by this copy of the package.
+	const root = getWindow() ?? serverRoot;
+
+	root.StorePress = root.StorePress || {};
+
+	const registry = root.StorePress;
+
+	registry.$Version = registry.$Version || VERSION;
+	registry.$Plugins = registry.$Plugins || {};
+	registry.$Events = registry.$Events || {};
+
+	if (
+		registry.$Version !== VERSION &&
+		! reportedRegistries.has( registry )
+	) {
+		reportedRegistries.add( registry );
+		console.warn(
+			`StorePress: @storepress/utils ${ VERSION } shares the registry with version ${ registry.$Version }. Load a single copy to avoid conflicts.`
+		);
 	}
-	return result;
+
+	return registry;
 }
 
 /**
@@ -1024,7 +1525,8 @@ export function deepMerge( ...sources ) {
  * consistent data storage for DOM elements or objects. The function uses a naming convention
  * that reduces the likelihood of naming conflicts with other libraries.
  *
- * @param {string} namespace - The namespace identifier used to create a unique WeakMap key
+ * @param {string} namespace  - The namespace identifier used to create a unique WeakMap key
+ * @param {Object} [registry] - Registry to use. Defaults to the global registry.
  * @return {WeakMap} A global WeakMap instance with the specified namespace
  * @throws {TypeError} Throws if the global WeakMap constructor is not available
  * @throws {ReferenceError} Throws if the window object is not available (Node.js environments)
@@ -1034,36 +1536,111 @@ export function deepMerge( ...sources ) {
  *
  * @since 0.7.0
  */
-export function getPluginInstanceStore( namespace ) {
+export function getPluginInstanceStore(
+	namespace,
+	registry = getDefaultRegistry()
+) {
 	const name = toUpperCamelCase( namespace );
 
 	// Ensure nested structure exists
-	window.StorePress = window.StorePress || {};
-	window.StorePress.$Plugins = window.StorePress.$Plugins || {};
-	window.StorePress.$Plugins[ name ] =
-		window.StorePress.$Plugins[ name ] || {};
+	registry.$Plugins[ name ] = registry.$Plugins[ name ] || {};
 
 	// Create WeakMap if it doesn't exist
-	if ( ! window.StorePress.$Plugins[ name ].Instance ) {
-		window.StorePress.$Plugins[ name ].Instance = new WeakMap();
+	if ( ! registry.$Plugins[ name ].Instance ) {
+		registry.$Plugins[ name ].Instance = new WeakMap();
 	}
-	return window.StorePress.$Plugins[ name ].Instance;
+	return registry.$Plugins[ name ].Instance;
 }
 
-export function getEventStore( namespace ) {
+export function getEventStore( namespace, registry = getDefaultRegistry() ) {
 	const name = toUpperCamelCase( namespace );
 
-	// Ensure nested structure exists
-	window.StorePress = window.StorePress || {};
-	window.StorePress.$Events = window.StorePress.$Events || {};
-
 	// Create Map if it doesn't exist
-	if ( ! window.StorePress.$Events[ name ] ) {
-		window.StorePress.$Events[ name ] = new Map();
+	if ( ! registry.$Events[ name ] ) {
+		registry.$Events[ name ] = new Map();
+	}
+	return registry.$Events[ name ];
+}
+
+// Document set with setDocument(), used instead of the global document.
+let injectedDocument = null;
+
+/**
+ * Sets the document every DOM dependent function works with.
+ *
+ * Without a DOM (Node for server-side rendering or pre-rendering) the functions of this
+ * package are inert: element lookups find nothing, events are not dispatched and plugin
+ * systems do not set up. Injecting a jsdom or linkedom document lets the same functions
+ * run against it. Call it without a document to use the global one again.
+ *
+ * @param {Document|null} [$document=null] - Document to use, or null for the global document
+ *
+ * @example
+ * import { JSDOM } from 'jsdom';
+ *
+ * const { window } = new JSDOM( html );
+ * setDocument( window.document );
+ * getOptionsFromAttribute( '.product', 'product' );
+ * setDocument();
+ *
+ * @since 0.14.0
+ */
+export function setDocument( $document = null ) {
+	injectedDocument = $document;
+}
+
+/**
+ * Returns the document set with `setDocument()`, else the global document.
+ *
+ * @return {Document|null} The document, or null without a DOM
+ *
+ * @since 0.14.0
+ */
+export function getDocument() {
+	if ( injectedDocument !== null ) {
+		return injectedDocument;
 	}
-	return window.StorePress.$Events[ name ];
+	return typeof document === 'undefined' ? null : document;
+}
+
+/**
+ * Returns the window of the current document, else the global window.
+ *
+ * @return {Window|null} The window, or null without a DOM
+ *
+ * @since 0.14.0
+ */
+export function getWindow() {
+	const view = getDocument()?.defaultView;
+	if ( view ) {
+		return view;
+	}
+	return typeof window === 'undefined' ? null : window;
+}
+
+/**
+ * Checks whether a document is available to work with.
+ *
+ * @return {boolean} True with a DOM
+ *
+ * @since 0.14.0
+ */
+export function hasDOM() {
+	return getDocument() !== null;
 }
 
+// Duck typed, so nodes of other documents, shadow roots and window pass too.
+const isEventTarget = ( value ) =>
+	typeof value === 'object' &&
+	value !== null &&
+	typeof value.addEventListener === 'function';
+
+// Node to query selectors in: the context or the current document.
+const getRoot = ( context = null ) => {
+	const root = context === null ? getDocument() : getElement( context );
+	return typeof root?.querySelectorAll === 'function' ? root : null;
+};
+
 /**
  * Normalizes different selector input types into a single HTMLElement or null.
  *
@@ -1071,8 +1648,12 @@ export function getEventStore( namespace ) {
  * either a CSS selector string or an existing HTMLElement. It's commonly used in library
  * functions where you want to provide flexibility in how users specify target elements.
  *
- * @param {string|HTMLElement|null|Document} [selector=null] - The element selector or element itself
- * @return {HTMLElement|null|Document} The resolved HTMLElement, or null if not found/invalid
+ * Any EventTarget is returned as is: SVG elements, shadow roots, document fragments and
+ * window included. Selector strings are queried in the `context`, e.g. a shadow root.
+ *
+ * @param {string|EventTarget|null} [selector=null] - The element selector or element itself
+ * @param {string|Node|null}        [context=null]  - Node to query the selector in. Defaults to the document.
+ * @return {HTMLElement|EventTarget|null} The resolved HTMLElement, or null if not found/invalid
  *
  * @example
  * // Using CSS selector string
@@ -1234,17 +1815,14 @@ export function getEventStore( namespace ) {
  *
  * @since 0.3.0
  */
-export function getElement( selector = null ) {
-	if ( null === selector ) {
+export function getElement( selector = null, context = null ) {
+	if ( null === selector || ! hasDOM() ) {
 		return null;
 	}
-	if ( document === selector ) {
-		return document;
-	}
 	if ( typeof selector === 'string' ) {
-		return document.querySelector( selector );
+		return getRoot( context )?.querySelector( selector ) ?? null;
 	}
-	return selector instanceof HTMLElement ? selector : null;
+	return isEventTarget( selector ) ? selector : null;
 }
 
 /**
@@ -1255,7 +1833,12 @@ export function getElement( selector = null ) {
  * output format for functions that need to operate on multiple elements while providing
  * flexibility in input types.
  *
- * @param {string|HTMLElement|HTMLElement[]|NodeList|Array|Document} [selectors=[]] - The element selector(s) or element(s)
+ * Any EventTarget is a single target. Arrays and NodeLists are passed through, other
+ * iterables (Set, HTMLCollection, generators) are converted to arrays. Selector strings
+ * are queried in the `context`, e.g. a shadow root.
+ *
+ * @param {string|EventTarget|Iterable<EventTarget>|null} [selectors=[]] - The element selector(s) or element(s)
+ * @param {string|Node|null}                              [context=null] - Node to query the selectors in. Defaults to the document.
  * @return {HTMLElement[]|NodeList|Array|Document} Collection of HTMLElements, empty array if no matches
  *
  * @example
@@ -1477,17 +2060,31 @@ export function getElement( selector = null ) {
  *
  * @since 0.3.0
  */
-export function getElements( selectors = [] ) {
-	if ( selectors.length === 0 ) {
+export function getElements( selectors = [], context = null ) {
+	if ( null === selectors || ! hasDOM() ) {
 		return [];
 	}
-	if ( selectors === document ) {
-		return [ document ];
+	// Before the length check: window and form elements have a length too.
+	if ( isEventTarget( selectors ) ) {
+		return [ selectors ];
+	}
+	if ( selectors.length === 0 ) {
+		return [];
 	}
 	if ( typeof selectors === 'string' ) {
-		return document.querySelectorAll( selectors );
+		return getRoot( context )?.querySelectorAll( selectors ) ?? [];
+	}
+	// Arrays and NodeLists.
+	if (
+		Array.isArray( selectors ) ||
+		( typeof selectors.forEach === 'function' && 'length' in selectors )
+	) {
+		return selectors;
+	}
+	if ( typeof selectors[ Symbol.iterator ] === 'function' ) {
+		return Array.from( selectors );
 	}
-	return selectors instanceof HTMLElement ? [ selectors ] : selectors;
+	return [];
 }
 
 /**
@@ -1507,6 +2104,7 @@ export function getElements( selectors = [] ) {
  * @param {string[]}           [userFeatures.truthyStrings=['yes', 'true']] - Strings that should be parsed as true
  * @param {string[]}           [userFeatures.falsyStrings=['no', 'false']]  - Strings that should be parsed as false
  * @param {boolean}            [userFeatures.parseRegex=true]               - Whether to parse regex patterns like /pattern/flags
+ * @param {Object|null}        [userFeatures.schema=null]                   - Option schema that drives coercion instead of type guessing. See `validateOptions`.
  *
  * @return {Object} The parsed configuration object with all options merged and type-converted
  *
@@ -1598,6 +2196,14 @@ export function getElements( selectors = [] ) {
  * //   inactive: false
  * // }
  *
+ * @example
+ * // Schema driven coercion keeps "0012" as a string
+ * // HTML: <div data-product--sku="0012" data-product--qty="2"></div>
+ * const options = getOptionsFromAttribute(element, 'product', {
+ *   schema: { sku: 'string', qty: { type: 'integer', min: 1 } }
+ * });
+ * console.log(options); // { sku: '0012', qty: 2 }
+ *
  * @throws {Error} Throws error if all JSON parsing strategies fail for nested data
  * @since 0.6.0
  */
@@ -1618,12 +2224,34 @@ export function getOptionsFromAttribute(
 		falsyStrings: [ 'no', 'false' ],
 		// no | false | n
 		parseRegex: true, // true | false
+		schema: null,
 	};
 
 	const FEATURES = {
 		...defaultFeatures,
 		...userFeatures,
 	};
+
+	if ( FEATURES.schema ) {
+		const { options, errors } = getValidatedOptionsFromAttribute(
+			$element,
+			dataAttributeName,
+			FEATURES.schema,
+			FEATURES
+		);
+		errors.forEach( ( { message } ) => {
+			console.warn(
+				`Invalid "${ dataAttributeName }" option: ${ message }`
+			);
+		} );
+		return options;
+	}
+
+	// No element, or no DOM.
+	if ( $element === null ) {
+		return {};
+	}
+
 	const getValue = ( value ) => {
 		if ( typeof value !== 'string' ) {
 			return value;
@@ -1789,24 +2417,388 @@ export function getOptionsFromAttribute(
 }
 
 /**
- * Escapes special regular expression characters in a string to make it safe for use in regex patterns.
- *
- * This function takes a string that may contain special regex characters and escapes them with backslashes
- * so they will be treated as literal characters rather than regex metacharacters. It uses the native
- * `RegExp.escape()` method if available (future JavaScript feature), otherwise falls back to a manual
- * replacement approach.
+ * Attribute parsing features that keep every attribute value as written,
+ * so a schema can decide how each value gets coerced.
  *
- * @param {string} string - The string containing characters to escape for regex use
- * @return {string} The escaped string safe for use in regular expression patterns
+ * @type {Object}
+ */
+const RAW_ATTRIBUTE_FEATURES = Object.freeze( {
+	parseNumber: false,
+	parseBoolean: false,
+	parseRegex: false,
+	schema: null,
+} );
+
+/**
+ * Validates and coerces an options object against a declarative schema.
+ *
+ * Every schema entry describes one option. An entry can be a type name
+ * shorthand (`'number'`) or a rule object with these keys:
+ * - `type` {string} - `string`, `number`, `integer`, `boolean`, `regexp`, `array`, `object` or `any`
+ * - `default` {*} - Value used when the option is missing or invalid
+ * - `required` {boolean} - Report an error when the option is missing and has no default
+ * - `enum` {Array} - List of allowed values
+ * - `min` / `max` {number} - Bounds for numbers, or length bounds for strings and arrays
+ * - `properties` {Object} - Nested schema for `object` options
+ * - `items` {Object|string} - Schema applied to every item of `array` options
+ *
+ * Strings are coerced to the declared type, so `"0012"` stays a string when declared
+ * as `string` and becomes `12` only when declared as `number`. Invalid values fall back
+ * to their default (or are dropped), and options missing from the schema are reported as
+ * `unknown` and dropped unless `allowUnknown` is enabled.
+ *
+ * @param {Object}   [options={}]                                 - The options to validate
+ * @param {Object}   [schema={}]                                  - The schema describing every option
+ * @param {Object}   [userFeatures={}]                            - Configuration object to customize coercion
+ * @param {string[]} [userFeatures.truthyStrings=['yes', 'true']] - Strings coerced to true for `boolean` options
+ * @param {string[]} [userFeatures.falsyStrings=['no', 'false']]  - Strings coerced to false for `boolean` options
+ * @param {boolean}  [userFeatures.allowUnknown=false]            - Keep options that are not declared in the schema
+ * @return {{options: Object, errors: Array<{path: string, code: string, message: string, value: *}>, valid: boolean}} The coerced options with validation errors
  *
  * @example
- * // Basic escaping of common regex metacharacters
- * const userInput = "What is $100 + $200?";
- * const escaped = escapeRegex(userInput);
- * console.log(escaped); // "What is \\$100 \\+ \\$200\\?"
- *
- * const regex = new RegExp(escaped);
- * console.log(regex.test("What is $100 + $200?")); // true
+ * const { options, errors, valid } = validateOptions(
+ *   { sku: '0012', speed: 'fast', effect: 'zoom' },
+ *   {
+ *     sku: { type: 'string', required: true },
+ *     speed: { type: 'number', default: 300, min: 0 },
+ *     effect: { type: 'string', enum: ['slide', 'fade'], default: 'slide' },
+ *   }
+ * );
+ * // options: { sku: '0012', speed: 300, effect: 'slide' }
+ * // errors: [
+ * //   { path: 'speed', code: 'type', message: 'Option "speed" expects a number, received "fast".', value: 'fast' },
+ * //   { path: 'effect', code: 'enum', message: 'Option "effect" must be one of "slide", "fade", received "zoom".', value: 'zoom' },
+ * // ]
+ * // valid: false
+ *
+ * @example
+ * // Nested objects and arrays
+ * validateOptions(
+ *   { animation: { duration: '800' }, steps: '[1, 2, 3]' },
+ *   {
+ *     animation: { type: 'object', properties: { duration: 'integer' } },
+ *     steps: { type: 'array', items: 'number', max: 5 },
+ *   }
+ * );
+ * // options: { animation: { duration: 800 }, steps: [1, 2, 3] }
+ *
+ * @since 0.14.0
+ */
+export function validateOptions(
+	options = {},
+	schema = {},
+	userFeatures = {}
+) {
+	const FEATURES = {
+		truthyStrings: [ 'yes', 'true' ],
+		falsyStrings: [ 'no', 'false' ],
+		allowUnknown: false,
+		...userFeatures,
+	};
+
+	const errors = [];
+
+	const articles = {
+		string: 'a string',
+		number: 'a number',
+		integer: 'an integer',
+		boolean: 'a boolean',
+		regexp: 'a regular expression',
+		array: 'an array',
+		object: 'an object',
+	};
+
+	const stringify = ( value ) => {
+		if ( value instanceof RegExp ) {
+			return value.toString();
+		}
+		try {
+			return JSON.stringify( value );
+		} catch {
+			return String( value );
+		}
+	};
+
+	const addError = ( path, code, message, value ) => {
+		errors.push( { path: path.join( '.' ), code, message, value } );
+	};
+
+	const parseJSON = ( value ) => {
+		try {
+			return JSON.parse( value.replaceAll( "'", '"' ) );
+		} catch {
+			return undefined;
+		}
+	};
+
+	// Resolves to { valid, value } where value is coerced when valid.
+	const coerce = ( value, type = 'any' ) => {
+		switch ( type ) {
+			case 'string': {
+				const isScalar =
+					typeof value === 'number' || typeof value === 'boolean';
+				return {
+					valid: typeof value === 'string' || isScalar,
+					value: isScalar ? String( value ) : value,
+				};
+			}
+			case 'number':
+			case 'integer': {
+				const number =
+					typeof value === 'string' && value.trim() !== ''
+						? Number( value )
+						: value;
+				const valid =
+					typeof number === 'number' &&
+					Number.isFinite( number ) &&
+					( type === 'number' || Number.isInteger( number ) );
+				return { valid, value: valid ? number : value };
+			}
+			case 'boolean': {
+				if ( typeof value === 'boolean' ) {
+					return { valid: true, value };
+				}
+				const lowerValue = String( value ).toLowerCase();
+				if ( FEATURES.truthyStrings.includes( lowerValue ) ) {
+					return { valid: true, value: true };
+				}
+				if ( FEATURES.falsyStrings.includes( lowerValue ) ) {
+					return { valid: true, value: false };
+				}
+				return { valid: false, value };
+			}
+			case 'regexp': {
+				if ( value instanceof RegExp ) {
+					return { valid: true, value };
+				}
+				if ( typeof value !== 'string' ) {
+					return { valid: false, value };
+				}
+				const regexMatch = value.match( /^\/(.+)\/([gimsuyx]*)$/ );
+				try {
+					return {
+						valid: true,
+						value: regexMatch
+							? new RegExp( regexMatch[ 1 ], regexMatch[ 2 ] )
+							: new RegExp( value ),
+					};
+				} catch {
+					return { valid: false, value };
+				}
+			}
+			case 'array':
+			case 'object': {
+				const parsed =
+					typeof value === 'string' ? parseJSON( value ) : value;
+				const valid =
+					type === 'array'
+						? Array.isArray( parsed )
+						: isPlainObject( parsed );
+				return { valid, value: valid ? parsed : value };
+			}
+			case 'any':
+				return { valid: true, value };
+			default:
+				throw new TypeError(
+					`Unknown option schema type: "${ type }".`
+				);
+		}
+	};
+
+	const normalizeRule = ( rule ) =>
+		typeof rule === 'string' ? { type: rule } : rule || {};
+
+	const validateLevel = ( data, properties, path ) => {
+		const result = {};
+
+		for ( const key in properties ) {
+			if ( properties.hasOwnProperty( key ) ) {
+				const value = validateValue( data[ key ], properties[ key ], [
+					...path,
+					key,
+				] );
+				if ( value !== undefined ) {
+					result[ key ] = value;
+				}
+			}
+		}
+
+		for ( const key in data ) {
+			if (
+				data.hasOwnProperty( key ) &&
+				! properties.hasOwnProperty( key )
+			) {
+				if ( FEATURES.allowUnknown ) {
+					result[ key ] = data[ key ];
+				} else {
+					addError(
+						[ ...path, key ],
+						'unknown',
+						`Unknown option "${ [ ...path, key ].join( '.' ) }".`,
+						data[ key ]
+					);
+				}
+			}
+		}
+
+		return result;
+	};
+
+	const validateValue = ( value, schemaRule, path ) => {
+		const rule = normalizeRule( schemaRule );
+		const name = path.join( '.' );
+
+		if ( value === undefined ) {
+			if ( rule.required && rule.default === undefined ) {
+				addError(
+					path,
+					'required',
+					`Option "${ name }" is required.`,
+					value
+				);
+			}
+			return rule.default;
+		}
+
+		const coercion = coerce( value, rule.type );
+
+		if ( ! coercion.valid ) {
+			addError(
+				path,
+				'type',
+				`Option "${ name }" expects ${
+					articles[ rule.type ]
+				}, received ${ stringify( value ) }.`,
+				value
+			);
+			return rule.default;
+		}
+
+		const coerced = coercion.value;
+
+		if ( Array.isArray( rule.enum ) && ! rule.enum.includes( coerced ) ) {
+			addError(
+				path,
+				'enum',
+				`Option "${ name }" must be one of ${ rule.enum
+					.map( stringify )
+					.join( ', ' ) }, received ${ stringify( value ) }.`,
+				value
+			);
+			return rule.default;
+		}
+
+		const hasLength =
+			typeof coerced === 'string' || Array.isArray( coerced );
+		const size = hasLength ? coerced.length : coerced;
+		const unit = hasLength ? ' in length' : '';
+
+		if ( typeof size === 'number' ) {
+			if ( rule.min !== undefined && size < rule.min ) {
+				addError(
+					path,
+					'min',
+					`Option "${ name }" must be at least ${
+						rule.min
+					}${ unit }, received ${ stringify( value ) }.`,
+					value
+				);
+				return rule.default;
+			}
+
+			if ( rule.max !== undefined && size > rule.max ) {
+				addError(
+					path,
+					'max',
+					`Option "${ name }" must be at most ${
+						rule.max
+					}${ unit }, received ${ stringify( value ) }.`,
+					value
+				);
+				return rule.default;
+			}
+		}
+
+		if ( Array.isArray( coerced ) && rule.items ) {
+			return coerced
+				.map( ( item, index ) =>
+					validateValue( item, rule.items, [ ...path, index ] )
+				)
+				.filter( ( item ) => item !== undefined );
+		}
+
+		if ( isPlainObject( coerced ) && rule.properties ) {
+			return validateLevel( coerced, rule.properties, path );
+		}
+
+		return coerced;
+	};
+
+	return {
+		options: validateLevel( options || {}, schema, [] ),
+		errors,
+		valid: errors.length === 0,
+	};
+}
+
+/**
+ * Extracts options from HTML data attributes like `getOptionsFromAttribute`, but lets
+ * a schema drive type coercion and returns structured validation errors alongside the options.
+ *
+ * Attribute values are read as written (no number, boolean or regex guessing) and then
+ * coerced by `validateOptions`, so misspelled `data-*--key` overrides are reported as
+ * `unknown` instead of being silently ignored.
+ *
+ * @param {string|HTMLElement} element           - The DOM element containing the data attributes
+ * @param {string}             dataAttributeName - The base name of the data attribute (without 'data-' prefix)
+ * @param {Object}             schema            - The schema describing every option. See `validateOptions`.
+ * @param {Object}             [userFeatures={}] - Coercion features passed to `validateOptions`
+ * @return {{options: Object, errors: Array<Object>, valid: boolean}} The coerced options with validation errors
+ *
+ * @example
+ * // HTML: <div data-product='{"sku": "0012"}' data-product--qtty="2"></div>
+ * const { options, errors } = getValidatedOptionsFromAttribute(element, 'product', {
+ *   sku: { type: 'string', required: true },
+ *   qty: { type: 'integer', default: 1, min: 1 },
+ * });
+ * // options: { sku: '0012', qty: 1 }
+ * // errors: [ { path: 'qtty', code: 'unknown', message: 'Unknown option "qtty".', value: '2' } ]
+ *
+ * @since 0.14.0
+ */
+export function getValidatedOptionsFromAttribute(
+	element,
+	dataAttributeName,
+	schema,
+	userFeatures = {}
+) {
+	const rawOptions = getOptionsFromAttribute( element, dataAttributeName, {
+		...userFeatures,
+		...RAW_ATTRIBUTE_FEATURES,
+	} );
+
+	return validateOptions( rawOptions, schema, userFeatures );
+}
+
+/**
+ * Escapes special regular expression characters in a string to make it safe for use in regex patterns.
+ *
+ * This function takes a string that may contain special regex characters and escapes them with backslashes
+ * so they will be treated as literal characters rather than regex metacharacters. It uses the native
+ * `RegExp.escape()` method if available (future JavaScript feature), otherwise falls back to a manual
+ * replacement approach.
+ *
+ * @param {string} string - The string containing characters to escape for regex use
+ * @return {string} The escaped string safe for use in regular expression patterns
+ *
+ * @example
+ * // Basic escaping of common regex metacharacters
+ * const userInput = "What is $100 + $200?";
+ * const escaped = escapeRegex(userInput);
+ * console.log(escaped); // "What is \\$100 \\+ \\$200\\?"
+ *
+ * const regex = new RegExp(escaped);
+ * console.log(regex.test("What is $100 + $200?")); // true
  *
  * @example
  * // Escaping special characters for literal matching
@@ -1896,26 +2888,265 @@ export function escapeRegex( string ) {
 		: string.replace( /[/\-\\^$*+?.()|[\]{}]/g, '\\$&' );
 }
 
-export function createPluginInstance( selectors, options, plugin, namespace ) {
-	const store = getPluginInstanceStore( namespace );
-	return Array.from( getElements( selectors ) ).map( ( element ) => {
-		if ( store.has( element ) ) {
-			return store.get( element );
-		}
-		const instance = new plugin( element, options );
-		instance.element = element;
-		instance.destroy = () => {
-			triggerEvent( element, 'destroy' );
-			store.delete( element );
-		};
-		store.set( element, instance );
-		return instance;
-	} );
+// Checks whether a validation error path points at a value read from the data attribute.
+const isAttributeOption = ( attributeOptions, path ) => {
+	let value = attributeOptions;
+	for ( const key of path.split( '.' ) ) {
+		if ( ! isPlainObject( value ) || ! value.hasOwnProperty( key ) ) {
+			return false;
+		}
+		value = value[ key ];
+	}
+	return true;
+};
+
+/**
+ * Resolves the options of a single plugin element.
+ *
+ * Options read from the `attribute` data attribute are merged over the given options,
+ * and the result is validated against the `schema` when one is given. Invalid options
+ * fall back to their defaults and unknown ones are dropped. The element is not `valid`
+ * when a required option is missing or an attribute value is invalid.
+ *
+ * @param {HTMLElement} element          - The plugin element
+ * @param {Object}      options          - Options passed to the plugin
+ * @param {Object}      config           - Instance configuration
+ * @param {Object|null} config.schema    - Option schema. See `validateOptions`.
+ * @param {string|null} config.attribute - Data attribute (without 'data-' prefix) to read options from
+ * @return {{settings: Object, errors: Array<Object>, valid: boolean}} Element options and validation errors
+ */
+const getElementSettings = ( element, options, { schema, attribute } ) => {
+	if ( ! attribute && ! schema ) {
+		return { settings: options, errors: [], valid: true };
+	}
+
+	const attributeOptions = attribute
+		? getOptionsFromAttribute(
+				element,
+				attribute,
+				schema ? RAW_ATTRIBUTE_FEATURES : {}
+		  )
+		: {};
+	const settings = deepMerge( options, attributeOptions );
+
+	if ( ! schema ) {
+		return { settings, errors: [], valid: true };
+	}
+
+	const { options: validated, errors } = validateOptions( settings, schema );
+	const valid = errors.every(
+		( { code, path } ) =>
+			code !== 'required' &&
+			( code === 'unknown' ||
+				! isAttributeOption( attributeOptions, path ) )
+	);
+	return { settings: validated, errors, valid };
+};
+
+/**
+ * Creates (or returns the existing) plugin instance for every matched element.
+ *
+ * When a `schema` is given, the options are validated and coerced per element with
+ * `validateOptions`. Options read from the `attribute` data attribute take precedence
+ * over the passed options. Every validation error is logged. Invalid options fall back
+ * to their defaults and unknown ones are dropped, but elements missing a required option
+ * or with an invalid attribute value are rejected: no instance is created for them.
+ *
+ * Instances get a `state` (`initializing`, `ready`, `destroying`, `destroyed` or `error`) and a
+ * `ready` promise resolving with the instance. When the instance exposes an `onInit()`
+ * method, it is called after construction. If it returns a promise, the instance stays
+ * `initializing` until it settles. A rejected init destroys the instance, sets its `state`
+ * to `error` and its `error`, logs a warning, dispatches an `initFailed` lifecycle event and
+ * rejects `ready`. Lifecycle events are dispatched through `getPluginLifecycle( namespace, registry )`.
+ *
+ * @param {string|HTMLElement|NodeList|Array} selectors               - Elements to create instances for
+ * @param {Object}                            options                 - Options passed to the plugin
+ * @param {Function}                          plugin                  - Plugin constructor, called as `new plugin( element, options )`
+ * @param {string}                            namespace               - Plugin namespace
+ * @param {Object}                            [config={}]             - Instance configuration
+ * @param {Object|null}                       [config.schema=null]    - Option schema. See `validateOptions`.
+ * @param {string|null}                       [config.attribute=null] - Data attribute (without 'data-' prefix) to read per element options from
+ * @param {Object}                            [config.registry]       - Registry to use. Defaults to the global registry.
+ * @param {string|Node|null}                  [config.context=null]   - Node to query selector strings in, e.g. a shadow root
+ * @return {Array<Object>} Created or existing plugin instances
+ *
+ * @since 0.7.0
+ */
+export function createPluginInstance(
+	selectors,
+	options,
+	plugin,
+	namespace,
+	config = {}
+) {
+	const {
+		schema = null,
+		attribute = null,
+		registry,
+		context = null,
+	} = config;
+	const store = getPluginInstanceStore( namespace, registry );
+	const lifecycle = getPluginLifecycle( namespace, registry );
+
+	return Array.from( getElements( selectors, context ) )
+		.map( ( element ) => {
+			if ( store.has( element ) ) {
+				return store.get( element );
+			}
+			const { settings, errors, valid } = getElementSettings(
+				element,
+				options,
+				{
+					schema,
+					attribute,
+				}
+			);
+			errors.forEach( ( { message } ) => {
+				console.warn(
+					`${ toUpperCamelCase( namespace ) }: ${ message }`,
+					element
+				);
+			} );
+			if ( ! valid ) {
+				return null;
+			}
+			const targets = [ element, getDocument() ];
+
+			lifecycle.trigger( targets, 'beforeInit', {
+				element,
+				options: settings,
+			} );
+
+			const instance = new plugin( element, settings );
+			instance.element = element;
+			instance.state = 'initializing';
+			instance.destroy = () => {
+				if (
+					[ 'destroying', 'destroyed', 'error' ].includes(
+						instance.state
+					)
+				) {
+					return;
+				}
+				instance.state = 'destroying';
+				lifecycle.trigger( targets, 'beforeDestroy', {
+					element,
+					instance,
+				} );
+				triggerEvent( element, 'destroy' );
+				store.delete( element );
+				instance.state = 'destroyed';
+				lifecycle.trigger( targets, 'destroyed', {
+					element,
+					instance,
+				} );
+			};
+			store.set( element, instance );
+
+			const setReady = () => {
+				// Destroyed while the async init was pending.
+				if ( instance.state !== 'initializing' ) {
+					return instance;
+				}
+				instance.state = 'ready';
+				lifecycle.trigger( targets, 'afterInit', {
+					element,
+					instance,
+				} );
+				return instance;
+			};
+
+			// A hook of its own, plugins calling their init() in the constructor keep working.
+			const result =
+				typeof instance.onInit === 'function'
+					? instance.onInit()
+					: null;
+
+			lifecycle.trigger( targets, 'init', { element, instance } );
+
+			if ( typeof result?.then === 'function' ) {
+				instance.ready = Promise.resolve( result ).then(
+					setReady,
+					( error ) => {
+						instance.destroy();
+						instance.state = 'error';
+						instance.error = error;
+						console.warn(
+							`${ toUpperCamelCase( namespace ) }: init failed.`,
+							error,
+							element
+						);
+						lifecycle.trigger( targets, 'initFailed', {
+							element,
+							instance,
+							error,
+						} );
+						throw error;
+					}
+				);
+				// The failure is reported above, awaiting ready stays optional.
+				instance.ready.catch( () => {} );
+			} else {
+				instance.ready = Promise.resolve( setReady() );
+			}
+
+			return instance;
+		} )
+		.filter( ( instance ) => instance !== null );
 }
 
-export function getPluginInstance( selectors, namespace ) {
-	const store = getPluginInstanceStore( namespace );
-	return Array.from( getElements( selectors ) )
+// Event namespace of a plugin, derived as before the shared tokenizer, so plugins like
+// `myHTMLSlider` keep their `storepress:my_htmlslider:*` event names.
+const toPluginEventNamespace = ( namespace ) =>
+	namespace
+		.replace( /([^A-Z-_\s+])([A-Z])/g, '$1-$2' )
+		.replace( /[-._:~\s]/g, '_' )
+		.replace( /^_+|_+$/g, '' )
+		.toLowerCase();
+
+/**
+ * Returns the event manager that dispatches the lifecycle events of a plugin.
+ *
+ * Every plugin instance goes through `beforeInit`, `init`, `afterInit`, `beforeDestroy`
+ * and `destroyed`. Instances updated in place by observed option changes dispatch
+ * `updated`, instances whose async init failed dispatch `initFailed`. Events are dispatched on
+ * the plugin element and on `document`, so both can be subscribed to. The event `detail`
+ * holds the `element` and the `instance` (`options` for `beforeInit`, `changes` and
+ * `options` for `updated`, `error` for `initFailed`).
+ *
+ * The manager is separate from the one `createPlugin` uses for its own events, so
+ * subscriptions are kept across `setup()` and `clear()`.
+ *
+ * @param {string} namespace  - Plugin namespace
+ * @param {Object} [registry] - Registry to use. Defaults to the global registry.
+ * @return {Object} Event manager of the plugin lifecycle. See `createEventManager`.
+ *
+ * @example
+ * getPluginLifecycle( 'slider' ).add( document, 'afterInit', ( event ) => {
+ *   const { element, instance } = event.detail;
+ * } );
+ *
+ * @since 0.14.0
+ */
+export function getPluginLifecycle( namespace, registry ) {
+	return createEventManager(
+		`${ toPluginEventNamespace( namespace ) }_lifecycle`,
+		{
+			prefix: 'storepress',
+			separator: ':',
+			registry,
+		}
+	);
+}
+
+export function getPluginInstance(
+	selectors,
+	namespace,
+	registry,
+	context = null
+) {
+	const store = getPluginInstanceStore( namespace, registry );
+	return Array.from( getElements( selectors, context ) )
 		.filter( ( element ) => store.has( element ) )
 		.map( ( element ) => store.get( element ) );
 }
@@ -2095,6 +3326,7 @@ export function triggerEvent(
 	};
 	const $elements = getElements( $targets );
 	$elements.forEach( ( $element ) => {
+		const { CustomEvent } = getWindow();
 		return $element.dispatchEvent(
 			new CustomEvent( eventType, {
 				...availableOptions,
@@ -2106,15 +3338,62 @@ export function triggerEvent(
 	} );
 }
 
+// Pointer velocity over the moves of the last `windowSize` milliseconds. Samples without
+// time or distance since the previous one are skipped, so lifting a pointer where it stopped
+// keeps the velocity of the flick. A pointer resting longer than the window has none.
+const createVelocityTracker = ( windowSize = 100 ) => {
+	let samples = [];
+	return {
+		reset( x, y, time ) {
+			samples = [ { x, y, time } ];
+		},
+		add( x, y, time ) {
+			const last = samples[ samples.length - 1 ];
+			if (
+				last &&
+				( time <= last.time || ( x === last.x && y === last.y ) )
+			) {
+				return;
+			}
+			samples.push( { x, y, time } );
+			// Keep one sample from before the window to measure from.
+			while (
+				samples.length > 2 &&
+				time - samples[ 1 ].time >= windowSize
+			) {
+				samples.shift();
+			}
+		},
+		get( time ) {
+			const first = samples[ 0 ];
+			const last = samples[ samples.length - 1 ];
+			if ( samples.length < 2 || time - last.time > windowSize ) {
+				return { velocityX: 0, velocityY: 0 };
+			}
+			const elapsed = last.time - first.time;
+			return {
+				velocityX: ( last.x - first.x ) / elapsed,
+				velocityY: ( last.y - first.y ) / elapsed,
+			};
+		},
+	};
+};
+
 /**
  * Attaches swipe gesture detection to a DOM element, supporting both touch and pointer events.
  * Automatically registers event listeners and provides directional swipe detection with customizable offset.
  *
- * @param {HTMLElement} target                    - The DOM element to attach swipe detection to
- * @param {Function}    listenerFn                - Callback function that handles swipe events
- * @param {Object}      [options={}]              - Configuration options
- * @param {number}      [options.offset=10]       - Minimum pixel distance to register a directional swipe
- * @param {boolean}     [options.touchOnly=false] - If true, only listen for touch events (ignore pointer/mouse)
+ * @param {HTMLElement} target                           - The DOM element to attach swipe detection to
+ * @param {Function}    listenerFn                       - Callback function that handles swipe events
+ * @param {Object}      [options={}]                     - Configuration options
+ * @param {number}      [options.offset=10]              - Minimum pixel distance to register a directional swipe
+ * @param {boolean}     [options.touchOnly=false]        - If true, only listen for touch events (ignore pointer/mouse)
+ * @param {number}      [options.minVelocity=0.3]        - Minimum release velocity in pixels per millisecond for `isSwipe`
+ * @param {number}      [options.maxDuration=Infinity]   - Maximum duration in milliseconds for `isSwipe`
+ * @param {number}      [options.decelerationRate=0.998] - Velocity kept per millisecond when projecting the inertial end position
+ * @param {number}      [options.velocityWindow=100]     - Milliseconds of recent moves the velocity is measured over
+ * @param {string|null} [options.touchAction=null]       - `touch-action` CSS value to set on the target while registered, e.g. 'pan-y' for horizontal sliders
+ * @param {boolean}     [options.keyboard=false]         - Also swipe with the keyboard, see `swipeKeyboardEvent` for its options
  * @return {Function} A cleanup function to remove all event listeners and abort the controller
  *
  * @example
@@ -2206,6 +3485,15 @@ export function triggerEvent(
  * }, { offset: 20 });
  *
  * @example
+ * // Tell a flick from a slow drag
+ * swipeEvent(slider, ({ detail }) => {
+ *   if (detail.done) {
+ *     const target = detail.isSwipe ? detail.projectedX : detail.x;
+ *     snapTo(Math.round(-target / slideWidth));
+ *   }
+ * }, { minVelocity: 0.5, maxDuration: 800 });
+ *
+ * @example
  * // Cleanup in React useEffect
  * useEffect(() => {
  *   const element = elementRef.current;
@@ -2227,108 +3515,241 @@ export function triggerEvent(
  * - `bottom` {boolean} - True if swiping down beyond offset threshold
  * - `moving` {boolean} - True during active swipe, false when completed
  * - `done` {boolean} - True when swipe gesture is complete
+ * - `direction` {string} - Primary direction: 'left', 'right', 'up', 'down', or 'none' within the offset
+ * - `distance` {number} - Straight distance from start position
+ * - `duration` {number} - Milliseconds since the swipe started
+ * - `velocity` {number} - Velocity over the last `velocityWindow` milliseconds of moves in pixels per millisecond,
+ *   `velocityX` and `velocityY` per axis. Releasing where the pointer stopped keeps it, resting longer than
+ *   the window zeroes it
+ * - `averageVelocity` {number} - Distance divided by duration
+ * - `projectedX` {number} - Horizontal end position if the swipe continued with inertia, `projectedY` vertical
+ * - `isSwipe` {boolean} - True if the swipe has a direction, reaches `minVelocity` and stays within `maxDuration`
+ * - `cancelled` {boolean} - True when `Escape`, `pointercancel` or `touchcancel` ended the swipe. The
+ *   direction booleans are false then, so consumers roll back instead of completing the swipe
+ *
+ * Only the first pointer or touch swipes, others are ignored until it is released. Pointers are
+ * captured, so dragging past the edge of the target continues the swipe.
  */
 export function swipeEvent( target, listenerFn, options = {} ) {
+	if ( ! hasDOM() || ! target ) {
+		return () => {};
+	}
 	let readyToMove = false;
 	let isMoved = false;
 	let xStart = 0;
 	let yStart = 0;
 	let isTouchEvent = false;
+	// Pointer id or touch identifier of the swiping pointer, other pointers are ignored.
+	let activeId = null;
+	let pointerType = null;
+	let lastDiff = { x: 0, y: 0 };
+	let startTime = 0;
 	const defaults = {
 		offset: 10,
 		touchOnly: false,
+		minVelocity: 0.3,
+		maxDuration: Infinity,
+		decelerationRate: 0.998,
+		velocityWindow: 100,
+		touchAction: null,
+		keyboard: false,
 	};
 	const settings = {
 		...defaults,
 		...options,
 	};
+	const { AbortController } = getWindow();
 	const controller = new AbortController();
 	const { signal } = controller;
+	const tracker = createVelocityTracker( settings.velocityWindow );
+	// Position of the swiping pointer in the event, null for other pointers.
+	const getPoint = ( event ) => {
+		if ( isTouchEvent !== event.type.startsWith( 'touch' ) ) {
+			return null;
+		}
+		if ( isTouchEvent ) {
+			const touch = [ ...event.changedTouches ].find(
+				( { identifier } ) => identifier === activeId
+			);
+			return touch ? { x: touch.clientX, y: touch.clientY } : null;
+		}
+		return event.pointerId === activeId ? { x: event.x, y: event.y } : null;
+	};
 	const start = ( event ) => {
+		// Browsers follow the pointerdown of a finger with touchstart, and cancel that
+		// pointer once they pan while touchmove keeps coming: touch events take it over.
+		const isTakeover =
+			readyToMove &&
+			event.type === 'touchstart' &&
+			! isTouchEvent &&
+			pointerType === 'touch';
+		// Extra fingers start pointers of their own: only the first one swipes.
+		if ( readyToMove && ! isTakeover ) {
+			return;
+		}
+		if ( isTakeover ) {
+			reset();
+		}
 		readyToMove = true;
 		isMoved = false;
-		xStart = event.x;
-		yStart = event.y;
+		lastDiff = { x: 0, y: 0 };
 		isTouchEvent = event.type === 'touchstart';
-		if ( event.type === 'pointerdown' && isTouchEvent ) {
-			return false;
-		}
+		pointerType = isTouchEvent ? 'touch' : event.pointerType;
 		if ( isTouchEvent ) {
-			const { clientX, clientY } = event.changedTouches[ 0 ];
+			const { identifier, clientX, clientY } = event.changedTouches[ 0 ];
+			activeId = identifier;
 			xStart = clientX;
 			yStart = clientY;
+		} else {
+			activeId = event.pointerId;
+			xStart = event.x;
+			yStart = event.y;
+			// Keep receiving the pointer when it is dragged past the edge.
+			try {
+				target.setPointerCapture?.( event.pointerId );
+			} catch ( error ) {
+				// The pointer is gone already.
+			}
+		}
+		startTime = Date.now();
+		tracker.reset( 0, 0, startTime );
+	};
+	const getDetails = ( horizontalDiff, verticalDiff, moving ) => {
+		const now = Date.now();
+		tracker.add( horizontalDiff, verticalDiff, now );
+		const { velocityX, velocityY } = tracker.get( now );
+
+		const top = verticalDiff + settings.offset < 0;
+		const bottom = verticalDiff - settings.offset > 0;
+		const left = horizontalDiff + settings.offset < 0;
+		const right = horizontalDiff - settings.offset > 0;
+		let direction = 'none';
+		if ( left || right || top || bottom ) {
+			const isHorizontal =
+				Math.abs( horizontalDiff ) >= Math.abs( verticalDiff );
+			if ( isHorizontal ) {
+				direction = horizontalDiff < 0 ? 'left' : 'right';
+			} else {
+				direction = verticalDiff < 0 ? 'up' : 'down';
+			}
 		}
+		const duration = now - startTime;
+		const distance = Math.hypot( horizontalDiff, verticalDiff );
+		const velocity = Math.hypot( velocityX, velocityY );
+		// Distance covered while the velocity decays by decelerationRate every millisecond.
+		const inertia =
+			settings.decelerationRate / ( 1 - settings.decelerationRate );
+
+		return {
+			x: horizontalDiff,
+			y: verticalDiff,
+			top,
+			bottom,
+			left,
+			right,
+			moving,
+			done: ! moving,
+			cancelled: false,
+			direction,
+			distance,
+			duration,
+			velocity,
+			velocityX,
+			velocityY,
+			averageVelocity: duration > 0 ? distance / duration : 0,
+			projectedX: horizontalDiff + velocityX * inertia,
+			projectedY: verticalDiff + velocityY * inertia,
+			isSwipe:
+				direction !== 'none' &&
+				velocity >= settings.minVelocity &&
+				duration <= settings.maxDuration,
+		};
 	};
 	const move = ( event ) => {
 		if ( ! readyToMove ) {
 			return;
 		}
-		if ( event.type === 'pointermove' && isTouchEvent ) {
-			return false;
-		}
-		let horizontalDiff = event.x - xStart;
-		let verticalDiff = event.y - yStart;
-		if ( isTouchEvent ) {
-			const touch = event.changedTouches[ 0 ];
-			horizontalDiff = touch.clientX - xStart;
-			verticalDiff = touch.clientY - yStart;
+		const point = getPoint( event );
+		if ( point === null ) {
+			return;
 		}
 		isMoved = true;
-		const details = {
-			x: horizontalDiff,
-			y: verticalDiff,
-			top: verticalDiff + settings.offset < 0,
-			// to top
-			bottom: verticalDiff - settings.offset > 0,
-			// to bottom
-			left: horizontalDiff + settings.offset < 0,
-			// to left
-			right: horizontalDiff - settings.offset > 0,
-			// to right
-			moving: true,
-			done: false,
-		};
-		triggerEvent( target, 'swipe', details );
+		lastDiff = { x: point.x - xStart, y: point.y - yStart };
+		triggerEvent(
+			target,
+			'swipe',
+			getDetails( lastDiff.x, lastDiff.y, true )
+		);
+	};
+	const reset = () => {
+		if ( ! isTouchEvent ) {
+			try {
+				target.releasePointerCapture?.( activeId );
+			} catch ( error ) {
+				// The pointer is released already.
+			}
+		}
+		isMoved = false;
+		isTouchEvent = false;
+		readyToMove = false;
+		activeId = null;
 	};
 	const end = ( event ) => {
 		if ( ! readyToMove ) {
 			return;
 		}
-		const isPointerEvent =
-			event.type === 'pointerleave' || event.type === 'pointerup';
-		if ( isPointerEvent && isTouchEvent ) {
-			return false;
+		const point = getPoint( event );
+		if ( point === null ) {
+			return;
 		}
-		let horizontalDiff = event.x - xStart;
-		let verticalDiff = event.y - yStart;
-		if ( isTouchEvent ) {
-			const { clientX, clientY } = event.changedTouches[ 0 ];
-			horizontalDiff = clientX - xStart;
-			verticalDiff = clientY - yStart;
+		// A captured pointer leaves the target only after pointerup.
+		if (
+			event.type === 'pointerleave' &&
+			target.hasPointerCapture?.( activeId )
+		) {
+			return;
 		}
 		if ( isMoved ) {
-			const details = {
-				x: horizontalDiff,
-				y: verticalDiff,
-				top: verticalDiff + settings.offset < 0,
-				// to top
-				bottom: verticalDiff - settings.offset > 0,
-				// to bottom
-				left: horizontalDiff + settings.offset < 0,
-				// to left
-				right: horizontalDiff - settings.offset > 0,
-				// to right
-				moving: false,
-				done: true,
-			};
-			triggerEvent( target, 'swipe', details );
+			triggerEvent(
+				target,
+				'swipe',
+				getDetails( point.x - xStart, point.y - yStart, false )
+			);
 		}
-		isMoved = false;
-		isTouchEvent = false;
-		readyToMove = false;
+		reset();
 	};
-	const unregister = () => {
+	// pointercancel also fires when touch-action lets the browser take over the pointer.
+	const cancel = ( event ) => {
+		if ( ! readyToMove ) {
+			return;
+		}
+		const isCancelled =
+			event.type === 'keydown'
+				? event.key === 'Escape'
+				: getPoint( event ) !== null;
+		if ( ! isCancelled ) {
+			return;
+		}
+		if ( isMoved ) {
+			triggerEvent( target, 'swipe', {
+				...getDetails( lastDiff.x, lastDiff.y, false ),
+				top: false,
+				bottom: false,
+				left: false,
+				right: false,
+				direction: 'none',
+				isSwipe: false,
+				cancelled: true,
+			} );
+		}
+		reset();
+	};
+	const touchAction = target.style?.touchAction;
+	const unregister = () => {
 		controller.abort();
+		if ( settings.touchAction !== null && target.style ) {
+			target.style.touchAction = touchAction;
+		}
 	};
 	const register = () => {
 		target.addEventListener( 'touchstart', start, {
@@ -2343,7 +3764,7 @@ export function swipeEvent( target, listenerFn, options = {} ) {
 			passive: true,
 			signal,
 		} );
-		target.addEventListener( 'touchcancel', end, {
+		target.addEventListener( 'touchcancel', cancel, {
 			signal,
 		} );
 		if ( ! settings.touchOnly ) {
@@ -2359,15 +3780,667 @@ export function swipeEvent( target, listenerFn, options = {} ) {
 			target.addEventListener( 'pointerleave', end, {
 				signal,
 			} );
+			target.addEventListener( 'pointercancel', cancel, {
+				signal,
+			} );
+		}
+		getDocument().addEventListener( 'keydown', cancel, {
+			signal,
+		} );
+		if ( settings.touchAction !== null && target.style ) {
+			target.style.touchAction = settings.touchAction;
 		}
 		target.addEventListener( 'swipe', listenerFn, {
 			signal,
 		} );
+		if ( settings.keyboard ) {
+			signal.addEventListener(
+				'abort',
+				swipeKeyboardEvent( target, settings ),
+				{ once: true }
+			);
+		}
 		return unregister;
 	};
 	return register();
 }
 
+// Keys and the swipe they stand for: the arrow pointing to the next item swipes away from it.
+const SWIPE_KEYS = {
+	ArrowRight: { direction: 'left', x: -1, y: 0 },
+	ArrowLeft: { direction: 'right', x: 1, y: 0 },
+	ArrowDown: { direction: 'up', x: 0, y: -1 },
+	ArrowUp: { direction: 'down', x: 0, y: 1 },
+	PageDown: { direction: 'up', x: 0, y: -1 },
+	PageUp: { direction: 'down', x: 0, y: 1 },
+	End: { direction: 'left', x: -1, y: 0, edge: 'end' },
+	Home: { direction: 'right', x: 1, y: 0, edge: 'start' },
+};
+
+// Live region shared by every swipeKeyboardEvent, created on the first announcement.
+let swipeLiveRegion = null;
+
+const announceSwipe = ( message ) => {
+	if ( swipeLiveRegion === null || ! swipeLiveRegion.isConnected ) {
+		swipeLiveRegion = getDocument().createElement( 'div' );
+		swipeLiveRegion.setAttribute( 'aria-live', 'polite' );
+		swipeLiveRegion.setAttribute( 'aria-atomic', 'true' );
+		// Visually hidden, still read by screen readers.
+		Object.assign( swipeLiveRegion.style, {
+			position: 'absolute',
+			width: '1px',
+			height: '1px',
+			margin: '-1px',
+			padding: '0',
+			overflow: 'hidden',
+			clip: 'rect(0, 0, 0, 0)',
+			whiteSpace: 'nowrap',
+			border: '0',
+		} );
+		getDocument().body.append( swipeLiveRegion );
+	}
+	// Emptied first, so repeating the same message is announced again.
+	swipeLiveRegion.textContent = '';
+	swipeLiveRegion.textContent = message;
+};
+
+/**
+ * Keyboard companion of `swipeEvent`: arrow keys, PageUp/PageDown and Home/End pressed
+ * within the target dispatch completed `swipe` events with the same detail shape.
+ * Completed swipes, keyboard or pointer, are announced in a polite live region shared by
+ * all targets and created on the first announcement. Drags that are not swipes are not announced.
+ *
+ * `swipeEvent` registers it with the `keyboard: true` option. The target or an element in
+ * it needs focus, e.g. with `tabindex="0"`.
+ *
+ * @param {HTMLElement} target                    - The DOM element to dispatch keyboard swipes on.
+ * @param {Object}      [options={}]              - Configuration options.
+ * @param {number}      [options.keyDistance=100] - Distance in pixels a key press reports as `x` or `y`.
+ * @param {boolean}     [options.announce=true]   - Announce completed swipes in a live region.
+ * @param {Object}      [options.messages]        - Announcements by direction: `left`, `right`, `up`, `down`, plus `start` and `end` for Home and End.
+ * @return {Function} A cleanup function removing the listeners.
+ *
+ * @example
+ * // A carousel that also responds to the keyboard
+ * carousel.tabIndex = 0;
+ * swipeEvent(carousel, handleSwipe, {
+ *   keyboard: true,
+ *   messages: { left: 'Next slide', right: 'Previous slide' },
+ * });
+ *
+ * @description
+ * Keyboard swipe details contain the `swipeEvent` properties, plus:
+ * - `keyboard` {boolean} - Always true
+ * - `key` {string} - The pressed key
+ * - `edge` {string|null} - 'start' for Home, 'end' for End
+ *
+ * @since 0.14.0
+ */
+export function swipeKeyboardEvent( target, options = {} ) {
+	if ( ! hasDOM() || ! target ) {
+		return () => {};
+	}
+	const defaults = {
+		keyDistance: 100,
+		announce: true,
+		messages: {},
+	};
+	const settings = {
+		...defaults,
+		...options,
+	};
+	const messages = {
+		left: 'Swiped left',
+		right: 'Swiped right',
+		up: 'Swiped up',
+		down: 'Swiped down',
+		start: 'Moved to the start',
+		end: 'Moved to the end',
+		...settings.messages,
+	};
+	const { AbortController } = getWindow();
+	const controller = new AbortController();
+	const { signal } = controller;
+
+	const keydown = ( event ) => {
+		const swipe = SWIPE_KEYS[ event.key ];
+		const isEditing = event.target.closest?.(
+			'input, textarea, select, [contenteditable]'
+		);
+		if (
+			! swipe ||
+			isEditing ||
+			event.altKey ||
+			event.ctrlKey ||
+			event.metaKey
+		) {
+			return;
+		}
+		event.preventDefault();
+
+		const x = swipe.x * settings.keyDistance;
+		const y = swipe.y * settings.keyDistance;
+		triggerEvent( target, 'swipe', {
+			x,
+			y,
+			top: swipe.direction === 'up',
+			bottom: swipe.direction === 'down',
+			left: swipe.direction === 'left',
+			right: swipe.direction === 'right',
+			moving: false,
+			done: true,
+			cancelled: false,
+			direction: swipe.direction,
+			distance: settings.keyDistance,
+			duration: 0,
+			velocity: 0,
+			velocityX: 0,
+			velocityY: 0,
+			averageVelocity: 0,
+			projectedX: x,
+			projectedY: y,
+			isSwipe: true,
+			keyboard: true,
+			key: event.key,
+			edge: swipe.edge ?? null,
+		} );
+	};
+
+	const announce = ( { detail } ) => {
+		if (
+			! detail?.done ||
+			detail.cancelled ||
+			! detail.isSwipe ||
+			detail.direction === 'none'
+		) {
+			return;
+		}
+		const message = messages[ detail.edge ?? detail.direction ];
+		if ( message ) {
+			announceSwipe( message );
+		}
+	};
+
+	target.addEventListener( 'keydown', keydown, { signal } );
+	if ( settings.announce ) {
+		target.addEventListener( 'swipe', announce, { signal } );
+	}
+
+	return () => controller.abort();
+}
+
+/**
+ * Recognizes tap, double tap, long press, pan, pinch and swipe gestures from Pointer Events.
+ *
+ * Every pointer is tracked by its `pointerId`: one pointer pans, presses and taps, two
+ * pointers pinch. Gestures are dispatched as `tap`, `doubletap`, `press`, `pan`, `pinch`
+ * and `swipe` CustomEvents on the target. A pan released faster than `flickVelocity`
+ * also dispatches a `swipe`. A tap is always dispatched; the second tap of a pair also
+ * dispatches a `doubletap`.
+ *
+ * Touch pointers only reach the target when the browser does not handle them itself, so
+ * give the target a `touch-action` CSS value like `none` or `pan-y`.
+ *
+ * @param {EventTarget}     target                       - Element to recognize gestures on.
+ * @param {Function|Object} listeners                    - Called for every gesture, or an object of gesture names and handlers.
+ * @param {Object}          [options={}]                 - Recognizer options.
+ * @param {number}          [options.tapTime=250]        - Longest tap in milliseconds.
+ * @param {number}          [options.tapDistance=10]     - Pixels a pointer may move before it pans instead of tapping.
+ * @param {number}          [options.doubleTapTime=300]  - Most milliseconds between the taps of a double tap.
+ * @param {number}          [options.pressTime=500]      - Milliseconds a still pointer is held before `press`.
+ * @param {number}          [options.flickVelocity=0.3]  - Pixels per millisecond a pan is released at to `swipe`.
+ * @param {boolean}         [options.lockAxis=true]      - Lock a pan to the axis it started on.
+ * @param {number}          [options.velocityWindow=100] - Milliseconds of recent moves the velocity is measured over.
+ * @return {Function} Unregisters the recognizer.
+ *
+ * @example
+ * // Product gallery
+ * const unregister = gestureEvent(gallery, {
+ *   doubletap: () => toggleZoom(),
+ *   pinch: ({ detail }) => zoom(detail.scale),
+ *   pan: ({ detail }) => drag(detail.x, detail.y),
+ *   swipe: ({ detail }) => detail.left ? next() : previous(),
+ * });
+ *
+ * @description
+ * The event details contain:
+ * - `tap`, `doubletap`, `press`: `clientX`, `clientY`, `pointerType`
+ * - `pan`: `x`, `y` distance from the start, `axis` ('x', 'y' or null), `velocityX`, `velocityY`, `moving`, `done`
+ * - `pinch`: `scale` from the start, `clientX`, `clientY` of the center, `moving`, `done`
+ * - `swipe`: `x`, `y`, `direction` ('left', 'right', 'up' or 'down'), `left`, `right`, `top`, `bottom`, `velocity`, `velocityX`, `velocityY`
+ *
+ * @since 0.14.0
+ */
+export function gestureEvent( target, listeners, options = {} ) {
+	if ( ! hasDOM() || ! target ) {
+		return () => {};
+	}
+	const defaults = {
+		tapTime: 250,
+		tapDistance: 10,
+		doubleTapTime: 300,
+		pressTime: 500,
+		flickVelocity: 0.3,
+		lockAxis: true,
+		velocityWindow: 100,
+	};
+	const settings = {
+		...defaults,
+		...options,
+	};
+	const gestures = [ 'tap', 'doubletap', 'press', 'pan', 'pinch', 'swipe' ];
+	const { AbortController } = getWindow();
+	const controller = new AbortController();
+	const { signal } = controller;
+
+	// Active pointers by pointerId.
+	const pointers = new Map();
+	let gesture = null;
+	let lastTap = null;
+	let pressTimer = null;
+	const tracker = createVelocityTracker( settings.velocityWindow );
+
+	const distance = ( [ a, b ] ) => Math.hypot( a.x - b.x, a.y - b.y );
+	const center = ( [ a, b ] ) => ( {
+		clientX: ( a.x + b.x ) / 2,
+		clientY: ( a.y + b.y ) / 2,
+	} );
+	const emit = ( type, details ) => {
+		triggerEvent( target, type, details );
+	};
+
+	const panDetails = ( moving ) => {
+		const { startX, startY, x, y, axis, velocityX, velocityY } = gesture;
+		return {
+			x: axis === 'y' ? 0 : x - startX,
+			y: axis === 'x' ? 0 : y - startY,
+			axis,
+			velocityX: axis === 'y' ? 0 : velocityX,
+			velocityY: axis === 'x' ? 0 : velocityY,
+			moving,
+			done: ! moving,
+		};
+	};
+
+	const pinchDetails = ( moving ) => ( {
+		scale: gesture.scale,
+		...gesture.center,
+		moving,
+		done: ! moving,
+	} );
+
+	// Pointer velocity in pixels per millisecond over the recent moves.
+	const sample = ( x, y ) => {
+		const now = Date.now();
+		tracker.add( x, y, now );
+		Object.assign( gesture, tracker.get( now ) );
+		gesture.x = x;
+		gesture.y = y;
+	};
+
+	const down = ( event ) => {
+		// A new primary pointer starts over, e.g. after a pointerup outside the target.
+		if ( event.isPrimary ) {
+			pointers.clear();
+		}
+		pointers.set( event.pointerId, { x: event.clientX, y: event.clientY } );
+		try {
+			target.setPointerCapture?.( event.pointerId );
+		} catch ( error ) {
+			// The pointer is gone already.
+		}
+
+		if ( pointers.size === 1 ) {
+			clearTimeout( pressTimer );
+			gesture = {
+				startX: event.clientX,
+				startY: event.clientY,
+				startTime: Date.now(),
+				x: event.clientX,
+				y: event.clientY,
+				velocityX: 0,
+				velocityY: 0,
+				pointerType: event.pointerType,
+				axis: null,
+				panning: false,
+				pressed: false,
+				pinching: false,
+				multiple: false,
+			};
+			tracker.reset( event.clientX, event.clientY, gesture.startTime );
+			pressTimer = setTimeout( () => {
+				gesture.pressed = true;
+				emit( 'press', {
+					clientX: gesture.x,
+					clientY: gesture.y,
+					pointerType: gesture.pointerType,
+				} );
+			}, settings.pressTime );
+			return;
+		}
+
+		if ( pointers.size === 2 && gesture !== null ) {
+			clearTimeout( pressTimer );
+			if ( gesture.panning ) {
+				emit( 'pan', panDetails( false ) );
+				gesture.panning = false;
+			}
+			gesture.multiple = true;
+			gesture.pinching = true;
+			gesture.startDistance = distance( [ ...pointers.values() ] ) || 1;
+			gesture.scale = 1;
+			gesture.center = center( [ ...pointers.values() ] );
+		}
+	};
+
+	const move = ( event ) => {
+		if ( ! pointers.has( event.pointerId ) || gesture === null ) {
+			return;
+		}
+		pointers.set( event.pointerId, { x: event.clientX, y: event.clientY } );
+
+		if ( gesture.pinching ) {
+			const active = [ ...pointers.values() ].slice( 0, 2 );
+			gesture.scale = distance( active ) / gesture.startDistance;
+			gesture.center = center( active );
+			emit( 'pinch', pinchDetails( true ) );
+			return;
+		}
+		if ( gesture.multiple ) {
+			return;
+		}
+
+		sample( event.clientX, event.clientY );
+		const deltaX = gesture.x - gesture.startX;
+		const deltaY = gesture.y - gesture.startY;
+		if (
+			! gesture.panning &&
+			Math.hypot( deltaX, deltaY ) > settings.tapDistance
+		) {
+			clearTimeout( pressTimer );
+			gesture.panning = true;
+			if ( settings.lockAxis ) {
+				gesture.axis =
+					Math.abs( deltaX ) >= Math.abs( deltaY ) ? 'x' : 'y';
+			}
+		}
+		if ( gesture.panning ) {
+			emit( 'pan', panDetails( true ) );
+		}
+	};
+
+	const swipe = () => {
+		const { x, y } = panDetails( false );
+		const velocityX = gesture.axis === 'y' ? 0 : gesture.velocityX;
+		const velocityY = gesture.axis === 'x' ? 0 : gesture.velocityY;
+		const velocity = Math.hypot( velocityX, velocityY );
+		if ( velocity < settings.flickVelocity ) {
+			return;
+		}
+		const isHorizontal = Math.abs( velocityX ) >= Math.abs( velocityY );
+		let direction = velocityY < 0 ? 'up' : 'down';
+		if ( isHorizontal ) {
+			direction = velocityX < 0 ? 'left' : 'right';
+		}
+		emit( 'swipe', {
+			x,
+			y,
+			direction,
+			left: direction === 'left',
+			right: direction === 'right',
+			top: direction === 'up',
+			bottom: direction === 'down',
+			velocity,
+			velocityX,
+			velocityY,
+		} );
+	};
+
+	const tap = () => {
+		const now = Date.now();
+		const { x, y, pointerType } = gesture;
+		const details = { clientX: x, clientY: y, pointerType };
+		emit( 'tap', details );
+		const isDoubleTap =
+			lastTap !== null &&
+			now - lastTap.time <= settings.doubleTapTime &&
+			Math.hypot( x - lastTap.x, y - lastTap.y ) <= settings.tapDistance;
+		if ( isDoubleTap ) {
+			lastTap = null;
+			emit( 'doubletap', details );
+			return;
+		}
+		lastTap = { x, y, time: now };
+	};
+
+	const up = ( event ) => {
+		if ( ! pointers.has( event.pointerId ) || gesture === null ) {
+			return;
+		}
+		pointers.delete( event.pointerId );
+		const isCancelled = event.type === 'pointercancel';
+
+		if ( gesture.pinching && pointers.size < 2 ) {
+			gesture.pinching = false;
+			emit( 'pinch', pinchDetails( false ) );
+		}
+		if ( pointers.size > 0 ) {
+			return;
+		}
+
+		clearTimeout( pressTimer );
+		if ( ! gesture.multiple ) {
+			if ( ! isCancelled ) {
+				sample( event.clientX, event.clientY );
+			}
+			if ( gesture.panning ) {
+				emit( 'pan', panDetails( false ) );
+				if ( ! isCancelled ) {
+					swipe();
+				}
+			} else if (
+				! isCancelled &&
+				! gesture.pressed &&
+				Date.now() - gesture.startTime <= settings.tapTime
+			) {
+				tap();
+			}
+		}
+		gesture = null;
+	};
+
+	const unregister = () => {
+		clearTimeout( pressTimer );
+		controller.abort();
+	};
+
+	target.addEventListener( 'pointerdown', down, { signal } );
+	target.addEventListener( 'pointermove', move, { signal } );
+	target.addEventListener( 'pointerup', up, { signal } );
+	target.addEventListener( 'pointercancel', up, { signal } );
+	gestures.forEach( ( type ) => {
+		const listener =
+			typeof listeners === 'function' ? listeners : listeners?.[ type ];
+		if ( typeof listener === 'function' ) {
+			target.addEventListener( type, listener, { signal } );
+		}
+	} );
+	return unregister;
+}
+
+// Compiled string paths, keyed by separators and path. Oldest entries are dropped first.
+const OBJECT_PATH_CACHE = new Map();
+const OBJECT_PATH_CACHE_SIZE = 500;
+
+// Reads a quoted or plain bracket segment starting at `start`. Returns the token and the next position.
+const parseBracketSegment = ( path, start ) => {
+	const quote = path[ start + 1 ];
+	if ( quote === '"' || quote === "'" ) {
+		let key = '';
+		let position = start + 2;
+		while ( position < path.length && path[ position ] !== quote ) {
+			if ( path[ position ] === '\\' ) {
+				position++;
+			}
+			key += path[ position ] ?? '';
+			position++;
+		}
+		const end = path.indexOf( ']', position );
+		return { token: { key }, next: end === -1 ? path.length : end + 1 };
+	}
+
+	const end = path.indexOf( ']', start );
+	const next = end === -1 ? path.length : end + 1;
+	const content = path.slice( start + 1, end === -1 ? path.length : end );
+	if ( content === '*' ) {
+		return { token: { wildcard: true }, next };
+	}
+	if ( /^-?\d+$/.test( content ) ) {
+		return { token: { index: Number( content ) }, next };
+	}
+	return { token: { key: content }, next };
+};
+
+// Compiles a path into `{ key }`, `{ index }` and `{ wildcard }` tokens.
+// Tokens after `..` carry `descend: true`. Array paths are used as keys, numbers as indexes.
+const compileObjectPath = ( path, notation = [ '.', '-', '_' ] ) => {
+	if ( Array.isArray( path ) ) {
+		return path.map( ( key ) =>
+			typeof key === 'number' ? { index: key } : { key }
+		);
+	}
+
+	// Normalize notation to array
+	const separators = ( Array.isArray( notation ) ? notation : [ notation ] )
+		.filter( Boolean )
+		.sort( ( a, b ) => b.length - a.length );
+	const cacheKey = `${ separators.join( '\u0000' ) }\u0001${ path }`;
+	if ( OBJECT_PATH_CACHE.has( cacheKey ) ) {
+		return OBJECT_PATH_CACHE.get( cacheKey );
+	}
+
+	const tokens = [];
+	const canDescend = separators.includes( '.' );
+	let key = '';
+	let descend = false;
+	let position = 0;
+
+	const push = ( token ) => {
+		tokens.push( descend ? { ...token, descend } : token );
+		descend = false;
+	};
+	const flush = () => {
+		if ( key !== '' ) {
+			push( key === '*' ? { wildcard: true } : { key } );
+			key = '';
+		}
+	};
+
+	while ( position < path.length ) {
+		if ( canDescend && path.startsWith( '..', position ) ) {
+			flush();
+			descend = true;
+			position += 2;
+			continue;
+		}
+
+		const separator = separators.find( ( value ) =>
+			path.startsWith( value, position )
+		);
+		if ( separator ) {
+			flush();
+			position += separator.length;
+			continue;
+		}
+
+		if ( path[ position ] === '[' ) {
+			flush();
+			const { token, next } = parseBracketSegment( path, position );
+			push( token );
+			position = next;
+			continue;
+		}
+
+		key += path[ position ];
+		position++;
+	}
+	flush();
+
+	if ( OBJECT_PATH_CACHE.size >= OBJECT_PATH_CACHE_SIZE ) {
+		OBJECT_PATH_CACHE.delete( OBJECT_PATH_CACHE.keys().next().value );
+	}
+	OBJECT_PATH_CACHE.set( cacheKey, tokens );
+	return tokens;
+};
+
+// Negative indexes count from the end of arrays.
+const resolvePathKey = ( value, key ) =>
+	Array.isArray( value ) && typeof key === 'number' && key < 0
+		? value.length + key
+		: key;
+
+const readPathToken = ( value, token ) => {
+	if ( value === null || typeof value === 'undefined' ) {
+		return undefined;
+	}
+	return value[ resolvePathKey( value, token.index ?? token.key ) ];
+};
+
+// Collects matches of a `..` token at any depth, skipping circular references.
+const collectPathMatches = ( value, token, matches = [], seen = new Set() ) => {
+	if ( typeof value !== 'object' || value === null || seen.has( value ) ) {
+		return matches;
+	}
+	seen.add( value );
+
+	const children = Object.values( value );
+	if ( token.wildcard ) {
+		matches.push( ...children );
+	} else {
+		const match = readPathToken( value, token );
+		if ( typeof match !== 'undefined' ) {
+			matches.push( match );
+		}
+	}
+
+	children.forEach( ( child ) =>
+		collectPathMatches( child, token, matches, seen )
+	);
+	return matches;
+};
+
+// Plain keys of a path, for helpers that address one value.
+const toPathKeys = ( path, notation ) =>
+	compileObjectPath( path, notation ).map( ( token ) => {
+		if ( token.wildcard || token.descend ) {
+			throw new Error(
+				`Object path: "${ path }" wildcards and ".." are only supported by findObjectValue.`
+			);
+		}
+		return token.index ?? token.key;
+	} );
+
+/**
+ * Finds a nested value by path.
+ *
+ * String paths are split on the notation separators. Brackets hold indexes (`items[0]`),
+ * negative indexes counted from the end (`items[-1]`) and quoted keys that keep their
+ * separators (`meta["sale_price"]`). A `*` segment or `[*]` matches every child and
+ * `..key` matches `key` at any depth; both return an array of the found values.
+ * Array paths are used as keys as is. Compiled string paths are cached.
+ *
+ * @param {Object|Array}         obj          - Object to search.
+ * @param {string|Array}         path         - Path to the value.
+ * @param {*}                    defaultValue - Returned when the value is undefined.
+ * @param {string|Array<string>} notation     - Path separators. Defaults to `.`, `-` and `_`.
+ * @return {*} The found value, an array of values for wildcard paths, or the default value.
+ *
+ * @example
+ * findObjectValue(product, 'meta["sale_price"]');
+ * findObjectValue(product, 'images[-1].src');
+ * findObjectValue(product, 'variations.*.sku'); // ['SKU-1', 'SKU-2']
+ * findObjectValue(product, '..price'); // every price in the product
+ */
 export function findObjectValue(
 	obj,
 	path,
@@ -2379,65 +4452,427 @@ export function findObjectValue(
 		return undefined;
 	}
 
-	// If path is already an array, use it directly
-	if ( Array.isArray( path ) ) {
-		const result = path.reduce(
-			( prevObj, key ) => prevObj && prevObj[ key ],
-			obj
-		);
-		return result === undefined ? defaultValue : result;
+	// Find values, wildcards and recursive descent can match many
+	let values = [ obj ];
+	let isMultiple = false;
+	compileObjectPath( path, notation ).forEach( ( token ) => {
+		if ( token.descend ) {
+			isMultiple = true;
+			values = values.flatMap( ( value ) =>
+				collectPathMatches( value, token )
+			);
+		} else if ( token.wildcard ) {
+			isMultiple = true;
+			values = values.flatMap( ( value ) =>
+				typeof value === 'object' && value !== null
+					? Object.values( value )
+					: []
+			);
+		} else {
+			values = values.map( ( value ) => readPathToken( value, token ) );
+			if ( isMultiple ) {
+				values = values.filter(
+					( value ) => typeof value !== 'undefined'
+				);
+			}
+		}
+	} );
+
+	if ( isMultiple ) {
+		return values;
 	}
 
-	// Normalize notation to array
-	const separators = Array.isArray( notation ) ? notation : [ notation ];
+	// If found value is undefined return default value; otherwise return the value
+	const [ result ] = values;
+	return result === undefined ? defaultValue : result;
+}
 
-	// Create regex pattern to match separators (escape special regex characters)
-	const escapedSeparators = separators.map( ( separator ) =>
-		escapeRegex( separator )
-	);
-	const separatorPattern = escapedSeparators.join( '' );
+const isArrayIndex = ( key ) => /^(0|[1-9]\d*)$/.test( String( key ) );
 
-	// Create regex to split on separators but not within brackets
-	const regex = new RegExp( `([^[${ separatorPattern }\\]])+`, 'g' );
-	const pathArray = path.match( regex ) || [];
+const hasOwnKey = ( value, key ) =>
+	typeof value === 'object' &&
+	value !== null &&
+	Object.prototype.hasOwnProperty.call( value, key );
 
-	// Find value
-	const result = pathArray.reduce(
-		( prevObj, key ) => prevObj && prevObj[ key ],
-		obj
+const toSafePathKeys = ( path, notation ) => {
+	const keys = toPathKeys( path, notation );
+	const unsafe = keys.find( ( key ) =>
+		UNSAFE_OBJECT_KEYS.has( String( key ) )
 	);
+	if ( typeof unsafe !== 'undefined' ) {
+		throw new Error( `Object path: "${ unsafe }" key is not allowed.` );
+	}
+	return keys;
+};
 
-	// If found value is undefined return default value; otherwise return the value
-	return result === undefined ? defaultValue : result;
+// Copies containers along the path when immutable, creates missing ones as needed.
+const setPathValue = ( node, [ key, ...rest ], value, immutable ) => {
+	let target = node;
+	if ( typeof node !== 'object' || node === null ) {
+		target = isArrayIndex( key ) ? [] : {};
+	} else if ( immutable ) {
+		target = Array.isArray( node ) ? [ ...node ] : { ...node };
+	}
+	const ownKey = resolvePathKey( target, key );
+	target[ ownKey ] =
+		rest.length === 0
+			? value
+			: setPathValue( target[ ownKey ], rest, value, immutable );
+	return target;
+};
+
+const deletePathValue = ( node, [ key, ...rest ], immutable ) => {
+	const target = Array.isArray( node ) ? [ ...node ] : { ...node };
+	const parent = immutable ? target : node;
+	const ownKey = resolvePathKey( node, key );
+	if ( rest.length > 0 ) {
+		parent[ ownKey ] = deletePathValue( node[ ownKey ], rest, immutable );
+	} else if ( Array.isArray( parent ) ) {
+		parent.splice( Number( ownKey ), 1 );
+	} else {
+		delete parent[ ownKey ];
+	}
+	return parent;
+};
+
+/**
+ * Checks if an object has its own value at a path.
+ *
+ * Paths follow the `findObjectValue` rules, without wildcards and `..`: a string split
+ * on the notation separators with `[index]` and `["key"]` brackets, or an array of keys.
+ * Inherited properties do not count.
+ *
+ * @param {Object|Array}         obj                - Object to check.
+ * @param {string|Array}         path               - Path to check.
+ * @param {Object}               [options={}]       - Path options.
+ * @param {string|Array<string>} [options.notation] - Path separators. Defaults to `.`, `-` and `_`.
+ * @return {boolean} True if every key of the path exists.
+ *
+ * @example
+ * hasObjectValue({ slider: { items: [ 1 ] } }, 'slider.items[0]'); // true
+ * hasObjectValue({ slider: {} }, 'slider.speed'); // false
+ * hasObjectValue({}, 'constructor'); // false
+ *
+ * @since 0.14.0
+ */
+export function hasObjectValue( obj, path, { notation } = {} ) {
+	if ( ! path ) {
+		return false;
+	}
+	let node = obj;
+	for ( const key of toPathKeys( path, notation ) ) {
+		const ownKey = resolvePathKey( node, key );
+		if ( ! hasOwnKey( node, ownKey ) ) {
+			return false;
+		}
+		node = node[ ownKey ];
+	}
+	return true;
+}
+
+/**
+ * Sets a value at a path, creating missing objects on the way.
+ * A missing container followed by an index key becomes an array.
+ *
+ * By default `obj` is changed and returned. In immutable mode, `obj` is left as is and
+ * a copy is returned: only the objects along the path are copied, the rest is shared.
+ *
+ * Paths with `__proto__`, `constructor` or `prototype` keys throw, so data from
+ * attributes or requests can not pollute object prototypes.
+ *
+ * @param {Object|Array}         obj                       - Object to change.
+ * @param {string|Array}         path                      - Path to set, see `hasObjectValue`.
+ * @param {*}                    value                     - Value to set.
+ * @param {Object}               [options={}]              - Path options.
+ * @param {string|Array<string>} [options.notation]        - Path separators. Defaults to `.`, `-` and `_`.
+ * @param {boolean}              [options.immutable=false] - Return a changed copy instead of changing `obj`.
+ * @return {Object|Array} The changed object.
+ *
+ * @example
+ * const options = { slider: { speed: 300 } };
+ *
+ * setObjectValue(options, 'slider.animation.easing', 'ease');
+ * // options.slider.animation.easing === 'ease'
+ *
+ * const next = setObjectValue(options, 'slider.speed', 500, { immutable: true });
+ * // options.slider.speed === 300, next.slider.speed === 500
+ * // next.slider.animation === options.slider.animation
+ *
+ * @since 0.14.0
+ */
+export function setObjectValue(
+	obj,
+	path,
+	value,
+	{ notation, immutable = false } = {}
+) {
+	if ( ! path ) {
+		return obj;
+	}
+	const keys = toSafePathKeys( path, notation );
+	if ( keys.length === 0 ) {
+		return obj;
+	}
+	return setPathValue( obj, keys, value, immutable );
 }
 
+/**
+ * Deletes the value at a path. Array items are spliced out.
+ *
+ * Follows the `setObjectValue` immutable mode and prototype pollution rules. A
+ * missing path returns `obj` as is, in immutable mode too.
+ *
+ * @param {Object|Array}         obj                       - Object to change.
+ * @param {string|Array}         path                      - Path to delete, see `hasObjectValue`.
+ * @param {Object}               [options={}]              - Path options.
+ * @param {string|Array<string>} [options.notation]        - Path separators. Defaults to `.`, `-` and `_`.
+ * @param {boolean}              [options.immutable=false] - Return a changed copy instead of changing `obj`.
+ * @return {Object|Array} The changed object.
+ *
+ * @example
+ * deleteObjectValue({ slider: { speed: 300, loop: true } }, 'slider.loop');
+ * // { slider: { speed: 300 } }
+ *
+ * deleteObjectValue({ items: [ 'a', 'b', 'c' ] }, 'items[1]');
+ * // { items: [ 'a', 'c' ] }
+ *
+ * @since 0.14.0
+ */
+export function deleteObjectValue(
+	obj,
+	path,
+	{ notation, immutable = false } = {}
+) {
+	if ( ! path ) {
+		return obj;
+	}
+	const keys = toSafePathKeys( path, notation );
+	if ( keys.length === 0 || ! hasObjectValue( obj, keys ) ) {
+		return obj;
+	}
+	return deletePathValue( obj, keys, immutable );
+}
+
+/**
+ * Sets the value at a path to what the updater returns for the current value.
+ *
+ * Follows the `setObjectValue` immutable mode and prototype pollution rules.
+ *
+ * @param {Object|Array}         obj                       - Object to change.
+ * @param {string|Array}         path                      - Path to update, see `hasObjectValue`.
+ * @param {Function}             updater                   - Receives the current value, `undefined` when missing, and returns the new one.
+ * @param {Object}               [options={}]              - Path options.
+ * @param {string|Array<string>} [options.notation]        - Path separators. Defaults to `.`, `-` and `_`.
+ * @param {boolean}              [options.immutable=false] - Return a changed copy instead of changing `obj`.
+ * @return {Object|Array} The changed object.
+ *
+ * @example
+ * updateObjectValue(cart, 'items[0].quantity', (quantity = 0) => quantity + 1);
+ *
+ * @since 0.14.0
+ */
+export function updateObjectValue(
+	obj,
+	path,
+	updater,
+	{ notation, immutable = false } = {}
+) {
+	if ( ! path ) {
+		return obj;
+	}
+	const keys = toSafePathKeys( path, notation );
+	if ( keys.length === 0 ) {
+		return obj;
+	}
+	const current = keys.reduce( ( node, key ) => {
+		const ownKey = resolvePathKey( node, key );
+		return hasOwnKey( node, ownKey ) ? node[ ownKey ] : undefined;
+	}, obj );
+	return setPathValue( obj, keys, updater( current ), immutable );
+}
+
+// Runs the callback at most once per debounce, throttle or animation frame window,
+// with the latest arguments. Pending calls are dropped when the signal aborts.
+const limitCalls = (
+	callback,
+	{ debounce = 0, throttle = 0, raf = false },
+	signal
+) => {
+	const $window = getWindow();
+	let timer = null;
+	let frame = null;
+	let lastCall = 0;
+	let lastArgs = [];
+	const run = () => {
+		timer = null;
+		frame = null;
+		lastCall = Date.now();
+		callback( ...lastArgs );
+	};
+	signal.addEventListener( 'abort', () => {
+		clearTimeout( timer );
+		if ( frame !== null ) {
+			$window.cancelAnimationFrame( frame );
+		}
+	} );
+
+	return ( ...args ) => {
+		lastArgs = args;
+		if ( debounce > 0 ) {
+			clearTimeout( timer );
+			timer = setTimeout( run, debounce );
+			return;
+		}
+		if ( throttle > 0 ) {
+			const wait = throttle - ( Date.now() - lastCall );
+			if ( wait <= 0 ) {
+				clearTimeout( timer );
+				run();
+			} else if ( timer === null ) {
+				timer = setTimeout( run, wait );
+			}
+			return;
+		}
+		if ( raf && frame === null && timer === null ) {
+			if ( typeof $window.requestAnimationFrame === 'function' ) {
+				frame = $window.requestAnimationFrame( run );
+			} else {
+				timer = setTimeout( run, 16 );
+			}
+		}
+	};
+};
+
 export function createEventManager(
 	namespace,
 	options = { prefix: 'storepress', separator: ':' }
 ) {
 	const prefix = options.prefix.length > 0 ? options.prefix : '$global';
 	const separator = options.separator.length > 0 ? options.separator : ':';
-	const controllers = getEventStore( prefix );
-	const _add = ( $target, eventType, handler, eventOptions = {} ) => {
-		const $element = getElement( $target );
+	const controllers = getEventStore( prefix, options.registry );
+	// Selector strings are queried in the context, e.g. a shadow root.
+	const context = options.context ?? null;
+
+	// `click.gallery.thumbs` is a `click` event in the `gallery` and `thumbs` sub-namespaces.
+	const _parseEventType = ( eventType ) => {
+		const [ type, ...namespaces ] = eventType.split( '.' );
+		return { type, namespaces: namespaces.filter( Boolean ) };
+	};
+
+	// An empty or `*` type matches any event, a `*` sub-namespace matches any namespaced binding.
+	const _matchEventType = ( binding, eventType ) => {
+		if ( eventType === null ) {
+			return true;
+		}
+		const { type, namespaces } = _parseEventType( eventType );
+		if ( type !== '' && type !== '*' && binding.eventType !== type ) {
+			return false;
+		}
+		return namespaces.every( ( name ) =>
+			name === '*'
+				? binding.namespaces.length > 0
+				: binding.namespaces.includes( name )
+		);
+	};
+
+	const _add = (
+		$target,
+		eventType,
+		handler,
+		eventOptions = {},
+		selector = null
+	) => {
+		const $element = getElement( $target, context );
 		if ( ! controllers.has( namespace ) ) {
 			controllers.set( namespace, new Map() );
 		}
 		if ( ! controllers.get( namespace ).has( $element ) ) {
-			controllers.get( namespace ).set( $element, {} );
+			controllers.get( namespace ).set( $element, [] );
 		}
-		const events = controllers.get( namespace ).get( $element );
-		const eventName = `${ prefix }${ separator }${ namespace }${ separator }${ eventType }`;
+		const bindings = controllers.get( namespace ).get( $element );
+		const { type: baseType, namespaces } = _parseEventType( eventType );
+		const eventName = `${ prefix }${ separator }${ namespace }${ separator }${ baseType }`;
+		const {
+			label = null,
+			once = false,
+			debounce = 0,
+			throttle = 0,
+			raf = false,
+			...listenerOptions
+		} = eventOptions;
 
-		events[ eventName ] = new AbortController();
-		controllers.get( namespace ).set( $element, events );
-		const controller = controllers.get( namespace ).get( $element )[
-			eventName
-		];
+		// Like addEventListener, the same handler is only bound once.
+		const isBound = bindings.some(
+			( binding ) =>
+				binding.eventName === eventName &&
+				binding.namespaces.join( '.' ) === namespaces.join( '.' ) &&
+				binding.selector === selector &&
+				binding.handler === handler
+		);
+		if ( isBound ) {
+			return;
+		}
+
+		const { AbortController } = getWindow();
+		const controller = new AbortController();
 		const type = eventName.split( separator ).at( -1 );
+		const binding = {
+			controller,
+			eventName,
+			eventType: baseType,
+			namespaces,
+			type,
+			selector,
+			handler,
+			label,
+		};
+		bindings.push( binding );
+
+		// `once` is handled here rather than by addEventListener, so the
+		// binding leaves the store too and delegated handlers wait for a match.
+		const call = ( $context, ...args ) => {
+			if ( once ) {
+				controller.abort();
+				const store = controllers.get( namespace );
+				if ( store?.has( $element ) ) {
+					store.set(
+						$element,
+						store
+							.get( $element )
+							.filter( ( item ) => item !== binding )
+					);
+				}
+			}
+			handler.call( $context, ...args );
+		};
+		const invoke =
+			debounce > 0 || throttle > 0 || raf
+				? limitCalls(
+						call,
+						{ debounce, throttle, raf },
+						controller.signal
+				  )
+				: call;
+
 		const getType = `on${ type }` in $element ? type : eventName;
-		$element.addEventListener( getType, handler, {
-			...eventOptions,
+		// Each binding gets its own listener, so a handler shared between
+		// sub-namespaces is not collapsed by addEventListener.
+		const listener =
+			selector === null
+				? ( event ) => invoke( event.currentTarget, event )
+				: ( event ) => {
+						const $match = event.target?.closest?.( selector );
+						// Skip matches above the root, e.g. an ancestor of a delegating element.
+						if (
+							! $match ||
+							! ( $element.contains?.( $match ) ?? true )
+						) {
+							return;
+						}
+						invoke( $match, event, $match );
+				  };
+		$element.addEventListener( getType, listener, {
+			...listenerOptions,
 			signal: controller.signal,
 		} );
 	};
@@ -2449,9 +4884,10 @@ export function createEventManager(
 	 * @function add
 	 * @memberof createEventManager
 	 * @param {string|Element|NodeList|Array|Document} $targets          - Target element(s) to add events to. Can be CSS selector, DOM element, NodeList, or array of elements.
-	 * @param {string}                                 eventType         - The type of event to listen for (e.g., 'click', 'mouseenter', 'keydown').
-	 * @param {Function}                               handler           - The event handler function to execute when the event is triggered.
-	 * @param {Object}                                 [eventOptions={}] - Additional options to pass to addEventListener (e.g., { once: true, passive: true }).
+	 * @param {string}                                 eventType         - The type of event to listen for (e.g., 'click', 'mouseenter', 'keydown'), optionally with dotted sub-namespaces (e.g., 'click.gallery.thumbs').
+	 * @param {string}                                 [selector]        - Delegate the event: one listener on each target calls the handler for descendants matching this selector.
+	 * @param {Function}                               handler           - The event handler function to execute when the event is triggered. Delegated handlers receive the matched element as second argument and `this`.
+	 * @param {Object}                                 [eventOptions={}] - Additional options to pass to addEventListener (e.g., { once: true, passive: true }). A `label` option names the binding for `remove()`. `debounce: ms`, `throttle: ms` and `raf: true` limit how often the handler runs; pending calls are cancelled when the binding is removed.
 	 * @return {createEventManager} Return createEventManager.
 	 *
 	 * @example
@@ -2478,11 +4914,45 @@ export function createEventManager(
 	 * // Add to DOM element directly
 	 * const button = document.querySelector('#my-button');
 	 * manager.add(button, 'click', myHandler);
+	 *
+	 * @example
+	 * // Limit how often a handler runs
+	 * manager.add(window, 'resize', updateLayout, { throttle: 100 });
+	 * manager.add('#search', 'input', search, { debounce: 300 });
+	 * manager.add(window, 'scroll', updateHeader, { raf: true, passive: true });
+	 *
+	 * @example
+	 * // Group bindings in sub-namespaces
+	 * manager.add('.gallery', 'click.gallery.thumbs', onThumbClick);
+	 *
+	 * @example
+	 * // Label a binding to remove it later without keeping the handler around
+	 * manager.add(window, 'resize', () => layout(), { label: 'layout' });
+	 *
+	 * @example
+	 * // Delegate clicks from a list to buttons added later
+	 * manager.add('.products', 'click', '.add-to-cart', (e, $button) => {
+	 *   addToCart($button.dataset.productId);
+	 * });
 	 */
-	const add = ( $targets, eventType, handler, eventOptions = {} ) => {
-		const $elements = getElements( $targets );
+	const add = (
+		$targets,
+		eventType,
+		selector,
+		handler,
+		eventOptions = {}
+	) => {
+		// Without a selector, the handler and its options shift one place left.
+		if ( typeof selector !== 'string' ) {
+			[ selector, handler, eventOptions ] = [
+				null,
+				selector,
+				handler ?? {},
+			];
+		}
+		const $elements = getElements( $targets, context );
 		$elements.forEach( ( $element ) => {
-			_add( $element, eventType, handler, eventOptions );
+			_add( $element, eventType, handler, eventOptions, selector );
 		} );
 
 		return this;
@@ -2495,10 +4965,10 @@ export function createEventManager(
 		triggerOptions = {}
 	) => {
 		const events = _getEvents( $target, eventType );
-		const eventName = `${ prefix }${ separator }${ namespace }${ separator }${ eventType }`;
 		for ( const [ event, isNative, type ] of events ) {
-			const $element = getElement( $target );
-			if ( isNative && eventName === event ) {
+			const $element = getElement( $target, context );
+			if ( isNative && eventType !== null ) {
+				const { Event } = getWindow();
 				$element.dispatchEvent(
 					new Event( type, {
 						bubbles: true,
@@ -2518,7 +4988,7 @@ export function createEventManager(
 	 * @function trigger
 	 * @memberof createEventManager
 	 * @param {string|Element|NodeList|Array|Document} $targets            - Target element(s) to trigger events on.
-	 * @param {string|null}                            [eventType=null]    - The event type to trigger. If null, triggers all events for the element.
+	 * @param {string|null}                            [eventType=null]    - The event type to trigger. If null, triggers all events for the element. Sub-namespaces only select the event types: every handler of a dispatched type runs.
 	 * @param {Object}                                 [eventDetails={}]   - Custom data to pass with the event (for custom events).
 	 * @param {Object}                                 [triggerOptions={}] - Additional options for event dispatching.
 	 * @return {createEventManager} return createEventManager.
@@ -2550,7 +5020,7 @@ export function createEventManager(
 		if ( ! controllers.has( namespace ) ) {
 			return this;
 		}
-		const $elements = getElements( $targets );
+		const $elements = getElements( $targets, context );
 		$elements.forEach( ( $element ) => {
 			_trigger( $element, eventType, eventDetails, triggerOptions );
 		} );
@@ -2562,29 +5032,38 @@ export function createEventManager(
 		if ( ! controllers.get( namespace ).has( $target ) ) {
 			return [];
 		}
-		const events = controllers.get( namespace ).get( $target );
-		const available = [];
-		const eventName = `${ prefix }${ separator }${ namespace }${ separator }${ eventType }`;
-		if ( eventType === null ) {
-			for ( const [ type ] of Object.entries( events ) ) {
-				const event = type.split( separator ).at( -1 );
-				const isNative = `on${ event }` in $target;
-				available.push( [ type, isNative, event ] );
+		const bindings = controllers.get( namespace ).get( $target );
+		// Several bindings can share an event name, list it once.
+		const available = new Map();
+		for ( const binding of bindings ) {
+			if ( _matchEventType( binding, eventType ) ) {
+				const { eventName, type } = binding;
+				const isNative = `on${ type }` in $target;
+				available.set( eventName, [ eventName, isNative, type ] );
 			}
-			return available;
 		}
-		for ( const [ type ] of Object.entries( events ) ) {
-			if ( type === eventName || type.startsWith( eventName ) ) {
-				const event = type.split( separator ).at( -1 );
-				const isNative = `on${ event }` in $target;
-				available.push( [ type, isNative, event ] );
-			}
+		return [ ...available.values() ];
+	};
+
+	const _matchBinding = ( binding, filter ) => {
+		if ( filter === null ) {
+			return true;
 		}
-		return available;
+		if ( typeof filter === 'string' ) {
+			return binding.selector === filter;
+		}
+		if ( typeof filter === 'function' ) {
+			return binding.handler === filter;
+		}
+		return [ 'selector', 'handler', 'label' ].every(
+			( key ) =>
+				typeof filter[ key ] === 'undefined' ||
+				binding[ key ] === filter[ key ]
+		);
 	};
 
-	const _remove = ( $target, eventType ) => {
-		const $element = getElement( $target );
+	const _remove = ( $target, eventType, filter = null ) => {
+		const $element = getElement( $target, context );
 		if ( typeof controllers.get( namespace ) === 'undefined' ) {
 			throw new Error(
 				`Namespace: "${ namespace }" is not available in "${ prefix }" event map.`
@@ -2593,22 +5072,24 @@ export function createEventManager(
 		if ( ! controllers.get( namespace ).has( $element ) ) {
 			return;
 		}
-		const events = controllers.get( namespace ).get( $element );
-		if ( eventType === null ) {
-			for ( const [ , controller ] of Object.entries( events ) ) {
+		const bindings = controllers.get( namespace ).get( $element );
+		if ( eventType === null && filter === null ) {
+			for ( const { controller } of bindings ) {
 				controller.abort();
 			}
 			controllers.get( namespace ).delete( $element );
 			return;
 		}
-		const eventName = `${ prefix }${ separator }${ namespace }${ separator }${ eventType }`;
-		for ( const [ type, controller ] of Object.entries( events ) ) {
-			if ( type === eventName || type.startsWith( eventName ) ) {
-				controller.abort();
-				delete events[ type ];
+		const remaining = bindings.filter( ( binding ) => {
+			const isMatch =
+				_matchEventType( binding, eventType ) &&
+				_matchBinding( binding, filter );
+			if ( isMatch ) {
+				binding.controller.abort();
 			}
-		}
-		controllers.get( namespace ).set( $target, events );
+			return ! isMatch;
+		} );
+		controllers.get( namespace ).set( $element, remaining );
 	};
 
 	/**
@@ -2618,13 +5099,28 @@ export function createEventManager(
 	 * @function remove
 	 * @memberof createEventManager
 	 * @param {string|Element|NodeList|Array|Document} $targets         - Target element(s) to remove events from.
-	 * @param {string|null}                            [eventType=null] - The event type to remove. If null, removes all events from the element.
+	 * @param {string|null}                            [eventType=null] - The event type to remove. If null, removes all events from the element. Sub-namespaces narrow the match: '.gallery' removes every event in `gallery`, 'click.*' every namespaced click.
+	 * @param {string|Function|Object|null}            [filter=null]    - Only remove matching bindings: a delegated selector, a handler, or an object with `selector`, `handler` and/or `label`. If null, removes every binding of the event type.
 	 * @return {createEventManager} Return createEventManager.
 	 * @example
 	 * // Remove specific event type
 	 * manager.remove('#my-button', 'click');
 	 *
 	 * @example
+	 * // Remove by sub-namespace
+	 * manager.remove('.gallery', '.thumbs');
+	 * manager.remove('.gallery', 'click.*');
+	 *
+	 * @example
+	 * // Remove a single delegated binding
+	 * manager.remove('.products', 'click', '.add-to-cart');
+	 *
+	 * @example
+	 * // Remove one handler, or a labelled binding
+	 * manager.remove('#my-button', 'click', onClick);
+	 * manager.remove(window, 'resize', { label: 'layout' });
+	 *
+	 * @example
 	 * // Remove all events from element
 	 * manager.remove('#my-element', null);
 	 *
@@ -2632,13 +5128,13 @@ export function createEventManager(
 	 * // Remove events from multiple elements
 	 * manager.remove('.temporary-listeners', 'mouseenter');
 	 */
-	const remove = ( $targets, eventType = null ) => {
+	const remove = ( $targets, eventType = null, filter = null ) => {
 		if ( ! controllers.has( namespace ) ) {
 			return this;
 		}
-		const $elements = getElements( $targets );
+		const $elements = getElements( $targets, context );
 		$elements.forEach( ( $element ) => {
-			_remove( $element, eventType );
+			_remove( $element, eventType, filter );
 		} );
 
 		return this;
@@ -2675,7 +5171,7 @@ export function createEventManager(
 	};
 
 	const _get = ( $target ) => {
-		const $element = getElement( $target );
+		const $element = getElement( $target, context );
 		if ( typeof controllers.get( namespace ) === 'undefined' ) {
 			throw new Error(
 				`Namespace: "${ namespace }" is not available in "${ prefix }" event map.`
@@ -2684,18 +5180,21 @@ export function createEventManager(
 		if ( ! controllers.get( namespace ).has( $element ) ) {
 			return [];
 		}
-		const events = controllers.get( namespace ).get( $element );
-		const available = [];
-		for ( const [ eventType ] of Object.entries( events ) ) {
-			const last = eventType.split( separator ).at( -1 );
-			const isNative = `on${ last }` in $element;
-			available.push( {
-				eventType,
-				isNative,
-				nativeType: isNative ? last : '',
-			} );
-		}
-		return [ ...new Set( available ) ];
+		const bindings = controllers.get( namespace ).get( $element );
+		return bindings.map(
+			( { eventName, namespaces, type, selector, handler, label } ) => {
+				const isNative = `on${ type }` in $element;
+				return {
+					eventType: eventName,
+					namespaces,
+					isNative,
+					nativeType: isNative ? type : '',
+					selector,
+					handler,
+					label,
+				};
+			}
+		);
 	};
 
 	/**
@@ -2724,7 +5223,7 @@ export function createEventManager(
 		if ( ! controllers.has( namespace ) ) {
 			return [];
 		}
-		const $elements = getElements( $targets );
+		const $elements = getElements( $targets, context );
 		const available = [];
 		$elements.forEach( ( $element ) => {
 			available.push( {
@@ -2751,62 +5250,632 @@ export function createEventManager(
 	 *   console.log(`Element ${$element.tagName} has ${$events.length} events`);
 	 * });
 	 *
-	 * @example
-	 * // Audit event usage
-	 * function auditEvents() {
-	 *   const events = manager.getAll();
-	 *   const totalEvents = events.reduce((sum, {$events}) => sum + $events.length, 0);
-	 *   console.log(`Total active events: ${totalEvents}`);
-	 * }
+	 * @example
+	 * // Audit event usage
+	 * function auditEvents() {
+	 *   const events = manager.getAll();
+	 *   const totalEvents = events.reduce((sum, {$events}) => sum + $events.length, 0);
+	 *   console.log(`Total active events: ${totalEvents}`);
+	 * }
+	 */
+	const getAll = () => {
+		if ( ! controllers.has( namespace ) ) {
+			return [];
+		}
+		const events = controllers.get( namespace );
+		const available = [];
+		for ( const [ $element ] of [ ...events ] ) {
+			available.push( {
+				$element,
+				$events: _get( $element ),
+			} );
+		}
+		return available;
+	};
+
+	/**
+	 * Waits for an event on an element.
+	 * The temporary binding is removed as soon as the promise settles.
+	 *
+	 * @function waitFor
+	 * @memberof createEventManager
+	 * @param {string|Element|Document|Window} $target               - Target element to wait on.
+	 * @param {string}                         eventType             - The event type to wait for, sub-namespaces included.
+	 * @param {Object}                         [waitOptions={}]      - Wait options.
+	 * @param {number}                         [waitOptions.timeout] - Reject after this many milliseconds. `0` waits forever.
+	 * @param {Function|null}                  [waitOptions.filter]  - Only resolve for events this function returns true for.
+	 * @param {AbortSignal|null}               [waitOptions.signal]  - Reject and remove the binding when aborted.
+	 * @return {Promise<Event>} Resolves with the event. Rejects on timeout, abort, or when the binding is removed.
+	 *
+	 * @example
+	 * // Wait for a plugin to initialize an element
+	 * const event = await manager.waitFor(document, 'init', {
+	 *   timeout: 5000,
+	 *   filter: (e) => e.detail.element === $slider,
+	 * });
+	 */
+	const waitFor = (
+		$target,
+		eventType,
+		{ timeout = 0, filter = null, signal = null } = {}
+	) =>
+		new Promise( ( resolve, reject ) => {
+			const $element = getElement( $target, context );
+			if ( $element === null ) {
+				reject(
+					new Error( `Event: "${ eventType }" target not found.` )
+				);
+				return;
+			}
+			if ( signal?.aborted ) {
+				reject( signal.reason );
+				return;
+			}
+
+			let timer = null;
+			let settled = false;
+			const settle = ( callback, value ) => {
+				if ( settled ) {
+					return;
+				}
+				settled = true;
+				clearTimeout( timer );
+				signal?.removeEventListener( 'abort', onAbort );
+				if ( controllers.has( namespace ) ) {
+					_remove( $element, eventType, handler );
+				}
+				callback( value );
+			};
+			const handler = ( event ) => {
+				if ( filter === null || filter( event ) ) {
+					settle( resolve, event );
+				}
+			};
+			const onAbort = () => settle( reject, signal.reason );
+
+			_add( $element, eventType, handler );
+			// Removing the binding, e.g. with removeAll(), must not leave the promise pending.
+			const { controller } = controllers
+				.get( namespace )
+				.get( $element )
+				.find( ( binding ) => binding.handler === handler );
+			controller.signal.addEventListener( 'abort', () =>
+				settle(
+					reject,
+					new Error( `Event: "${ eventType }" listener was removed.` )
+				)
+			);
+			signal?.addEventListener( 'abort', onAbort );
+			if ( timeout > 0 ) {
+				timer = setTimeout(
+					() =>
+						settle(
+							reject,
+							new Error(
+								`Event: "${ eventType }" timed out after ${ timeout }ms.`
+							)
+						),
+					timeout
+				);
+			}
+		} );
+
+	return {
+		add,
+		trigger,
+		remove,
+		removeAll,
+		get,
+		getAll,
+		waitFor,
+	};
+}
+
+/**
+ * Creates a publish/subscribe bus for messages between plugins that share no DOM node.
+ *
+ * Buses with the same namespace share subscribers and retained messages through the
+ * registry's event store, so separately bundled plugins talk on the same bus. Topics are
+ * strings like `cart:updated`. A `*` in a subscribed topic matches any characters,
+ * e.g. `cart:*`, or `*` for every topic. The last message of each topic is retained
+ * for `replay`.
+ *
+ * @param {string}  [namespace='global']   - Bus name.
+ * @param {Object}  [options={}]           - Bus options.
+ * @param {boolean} [options.bridge=false] - Also dispatch each message as a `document` CustomEvent named after the topic, e.g. for jQuery listeners.
+ * @param {Object}  [options.registry]     - Registry to keep the bus in. Defaults to the global registry.
+ * @return {{publish: Function, subscribe: Function, subscribeOnce: Function, clear: Function}} The event bus.
+ *
+ * @example
+ * // Cart plugin
+ * const bus = createEventBus();
+ * bus.publish('cart:updated', { count: 3 });
+ *
+ * @example
+ * // Mini cart plugin, also receiving the last update published before it loaded
+ * const bus = createEventBus();
+ * const unsubscribe = bus.subscribe('cart:*', (data, topic) => {
+ *   render(data.count);
+ * }, { replay: true });
+ *
+ * @example
+ * // Listen from jQuery
+ * const bus = createEventBus('global', { bridge: true });
+ * jQuery(document).on('cart:updated', (e) => console.log(e.detail.count));
+ *
+ * @since 0.14.0
+ */
+export function createEventBus(
+	namespace = 'global',
+	{ bridge = false, registry = getDefaultRegistry() } = {}
+) {
+	const store = getEventStore( 'event-bus', registry );
+	if ( ! store.has( namespace ) ) {
+		store.set( namespace, { subscribers: new Set(), messages: new Map() } );
+	}
+	const { subscribers, messages } = store.get( namespace );
+
+	const toPattern = ( topic ) =>
+		new RegExp(
+			`^${ topic
+				.split( '*' )
+				.map( ( part ) => escapeRegex( part ) )
+				.join( '.*' ) }$`
+		);
+
+	// A failing subscriber must not keep the message from the others.
+	const deliver = ( subscriber, topic, data ) => {
+		if ( subscriber.once ) {
+			subscribers.delete( subscriber );
+		}
+		try {
+			subscriber.callback( data, topic );
+		} catch ( error ) {
+			console.error(
+				`Event bus: "${ namespace }" subscriber of "${ subscriber.topic }" failed.`,
+				error
+			);
+		}
+	};
+
+	/**
+	 * Publishes a message to every subscriber of the topic.
+	 *
+	 * @param {string} topic     - Message topic, e.g. `cart:updated`.
+	 * @param {*}      [data={}] - Message data.
+	 */
+	const publish = ( topic, data = {} ) => {
+		messages.set( topic, data );
+		// Subscribers removed while delivering are skipped.
+		for ( const subscriber of [ ...subscribers ] ) {
+			if (
+				subscribers.has( subscriber ) &&
+				subscriber.pattern.test( topic )
+			) {
+				deliver( subscriber, topic, data );
+			}
+		}
+		if ( bridge && hasDOM() ) {
+			const { CustomEvent } = getWindow();
+			getDocument().dispatchEvent(
+				new CustomEvent( topic, { detail: data } )
+			);
+		}
+	};
+
+	/**
+	 * Subscribes to a topic.
+	 *
+	 * @param {string}           topic                     - Topic, `*` matches any characters.
+	 * @param {Function}         callback                  - Called with the message data and topic.
+	 * @param {Object}           [subscribeOptions={}]     - Subscribe options.
+	 * @param {boolean}          [subscribeOptions.replay] - Call back right away with the retained message of each matching topic.
+	 * @param {boolean}          [subscribeOptions.once]   - Unsubscribe after the first message.
+	 * @param {AbortSignal|null} [subscribeOptions.signal] - Unsubscribe when aborted.
+	 * @return {Function} Unsubscribes.
+	 */
+	const subscribe = (
+		topic,
+		callback,
+		{ replay = false, once = false, signal = null } = {}
+	) => {
+		const subscriber = {
+			topic,
+			pattern: toPattern( topic ),
+			callback,
+			once,
+		};
+		const unsubscribe = () => {
+			subscribers.delete( subscriber );
+		};
+		if ( signal?.aborted ) {
+			return unsubscribe;
+		}
+		subscribers.add( subscriber );
+		signal?.addEventListener( 'abort', unsubscribe, { once: true } );
+		if ( replay ) {
+			for ( const [ name, data ] of [ ...messages ] ) {
+				if (
+					subscribers.has( subscriber ) &&
+					subscriber.pattern.test( name )
+				) {
+					deliver( subscriber, name, data );
+				}
+			}
+		}
+		return unsubscribe;
+	};
+
+	/**
+	 * Subscribes to the next message of a topic.
+	 *
+	 * @param {string}   topic                 - Topic, `*` matches any characters.
+	 * @param {Function} callback              - Called with the message data and topic.
+	 * @param {Object}   [subscribeOptions={}] - Subscribe options, see `subscribe`.
+	 * @return {Function} Unsubscribes.
 	 */
-	const getAll = () => {
-		if ( ! controllers.has( namespace ) ) {
-			return [];
+	const subscribeOnce = ( topic, callback, subscribeOptions = {} ) =>
+		subscribe( topic, callback, { ...subscribeOptions, once: true } );
+
+	/**
+	 * Removes every subscriber and retained message of the bus.
+	 */
+	const clear = () => {
+		subscribers.clear();
+		messages.clear();
+	};
+
+	return {
+		publish,
+		subscribe,
+		subscribeOnce,
+		clear,
+	};
+}
+
+// WooCommerce jQuery events and how their extra arguments map into `detail`.
+const WOOCOMMERCE_EVENTS = {
+	added_to_cart: ( fragments, cartHash, $button ) => ( {
+		fragments,
+		cartHash,
+		button: $button?.[ 0 ] ?? null,
+	} ),
+	removed_from_cart: ( fragments, cartHash, $button ) => ( {
+		fragments,
+		cartHash,
+		button: $button?.[ 0 ] ?? null,
+	} ),
+	found_variation: ( variation ) => ( { variation } ),
+	reset_data: () => ( {} ),
+	updated_wc_div: () => ( {} ),
+	updated_cart_totals: () => ( {} ),
+	updated_checkout: ( data ) => ( { data } ),
+	wc_fragments_loaded: () => ( {} ),
+	wc_fragments_refreshed: () => ( {} ),
+};
+
+/**
+ * Bridges jQuery events, like the ones WooCommerce fires, and event manager events.
+ *
+ * jQuery events triggered anywhere in the document are dispatched again with
+ * `triggerEvent` on the same element, named like `createEventManager( namespace )`
+ * events, so `add( document.body, 'added_to_cart', handler )` receives them. The
+ * jQuery extra arguments are mapped into `detail` and kept as `detail.args`.
+ *
+ * The other way around, `trigger( target, type, detail )` dispatches a bridged event on
+ * the target and triggers it through jQuery with `detail.args`, or a non-empty `detail`
+ * itself, as extra arguments. Event manager events of the bridged types are relayed the
+ * same way, but `createEventManager().trigger()` only dispatches types it has listeners for.
+ *
+ * @param {Object}               [options={}]                      - Bridge options.
+ * @param {Array<string>|Object} [options.events]                  - jQuery event names, or an object of event names and functions mapping the extra arguments to `detail`. Defaults to common WooCommerce events.
+ * @param {string}               [options.namespace='woocommerce'] - Event manager namespace.
+ * @param {string}               [options.prefix='storepress']     - Event manager prefix.
+ * @param {string}               [options.separator=':']           - Event manager separator.
+ * @param {Function|null}        [options.jQuery]                  - jQuery to bridge. Defaults to `window.jQuery`.
+ * @return {{trigger: Function, disconnect: Function}} Triggers bridged events and removes the bridge.
+ *
+ * @example
+ * const bridge = createJQueryBridge();
+ * const events = createEventManager('woocommerce');
+ *
+ * events.add(document.body, 'added_to_cart', (e) => {
+ *   console.log(e.detail.fragments, e.detail.button);
+ * });
+ *
+ * // Let WooCommerce know about a cart change made by a plugin
+ * bridge.trigger(document.body, 'updated_cart_totals');
+ *
+ * @since 0.14.0
+ */
+export function createJQueryBridge( {
+	events = WOOCOMMERCE_EVENTS,
+	namespace = 'woocommerce',
+	prefix = 'storepress',
+	separator = ':',
+	jQuery = getWindow()?.jQuery ?? null,
+} = {} ) {
+	if ( ! hasDOM() || typeof jQuery !== 'function' ) {
+		return { trigger: () => {}, disconnect: () => {} };
+	}
+
+	const mappers = Array.isArray( events )
+		? Object.fromEntries(
+				events.map( ( type ) => [
+					type,
+					WOOCOMMERCE_EVENTS[ type ] ?? ( () => ( {} ) ),
+				] )
+		  )
+		: events;
+	const types = Object.keys( mappers );
+	const toEventName = ( type ) =>
+		`${ prefix }${ separator }${ namespace }${ separator }${ type }`;
+	const $document = getDocument();
+	const { AbortController } = getWindow();
+	const controller = new AbortController();
+
+	// Set while relaying, so an event is not sent back where it came from.
+	let relaying = false;
+	const relay = ( callback ) => {
+		relaying = true;
+		try {
+			callback();
+		} finally {
+			relaying = false;
 		}
-		const events = controllers.get( namespace );
-		const available = [];
-		for ( const [ $element ] of [ ...events ] ) {
-			available.push( {
-				$element,
-				$events: _get( $element ),
-			} );
+	};
+
+	const fromJQuery = ( event, ...args ) => {
+		if ( relaying ) {
+			return;
 		}
-		return available;
+		relay( () => {
+			triggerEvent(
+				event.target,
+				toEventName( event.type ),
+				{ ...mappers[ event.type ]( ...args ), args },
+				{ bubbles: true }
+			);
+		} );
 	};
+	jQuery( $document ).on( types.join( ' ' ), fromJQuery );
+
+	types.forEach( ( type ) => {
+		// Captured, because event manager events do not bubble by default.
+		$document.addEventListener(
+			toEventName( type ),
+			( event ) => {
+				if ( relaying ) {
+					return;
+				}
+				const { detail } = event;
+				const hasDetail =
+					isPlainObject( detail ) && Object.keys( detail ).length > 0;
+				let args = hasDetail ? [ detail ] : [];
+				if ( Array.isArray( detail?.args ) ) {
+					args = detail.args;
+				}
+				relay( () => {
+					jQuery( event.target ).trigger( type, args );
+				} );
+			},
+			{ capture: true, signal: controller.signal }
+		);
+	} );
 
 	return {
-		add,
-		trigger,
-		remove,
-		removeAll,
-		get,
-		getAll,
+		// Relayed to jQuery by the listener above.
+		trigger( target, type, detail = {} ) {
+			triggerEvent( target, toEventName( type ), detail );
+		},
+		disconnect() {
+			jQuery( $document ).off( types.join( ' ' ), fromJQuery );
+			controller.abort();
+		},
 	};
 }
 
+/**
+ * Creates a plugin system that initializes, destroys and reloads plugin instances
+ * through namespaced document events.
+ *
+ * With `observe` enabled, the `attribute` data attributes of initialized elements are
+ * watched with a MutationObserver. When they change, the element options are parsed
+ * again and compared with the current ones, and the list of changes is passed to the
+ * instance `onOptionsChanged( changes, options )` hook. The instance is reloaded only
+ * when it has no such hook or the hook returns `false`.
+ *
+ * With `autoInit` enabled, `setup()` watches the document for inserted elements that
+ * match the `selector` string (AJAX fragments, modals) and initializes them, and destroys
+ * the instances of elements that leave the DOM. `clear()` stops watching.
+ *
+ * With `initOn`, creating the instance (`new plugin( element, options )`) is deferred
+ * until the element scrolls into view (`visible`, IntersectionObserver), the browser is
+ * idle (`idle`, requestIdleCallback) or the element gets a first pointer, touch or focus
+ * event (`interaction`). `whenReady( element )` resolves with the instance once it is ready,
+ * and rejects when the element is rejected by the option `schema`.
+ *
+ * Instances follow the lifecycle described in `createPluginInstance`; `lifecycle` returns
+ * its event manager. `reload` waits for pending async init before tearing down.
+ *
+ * @param {Object}      config                      - Plugin configuration
+ * @param {string}      config.selector             - Default selector of the plugin elements
+ * @param {Object}      [config.options={}]         - Default plugin options
+ * @param {Function}    config.plugin               - Plugin constructor, called as `new plugin( element, options )`
+ * @param {string}      config.namespace            - Plugin namespace
+ * @param {Object}      [config.callback]           - `onSetup` and `onClear` callbacks
+ * @param {Object|null} [config.schema=null]        - Option schema. See `validateOptions`.
+ * @param {string|null} [config.attribute=null]     - Data attribute (without 'data-' prefix) to read element options from
+ * @param {boolean}     [config.observe=false]      - Watch the `attribute` data attributes and update instances on change
+ * @param {boolean}     [config.autoInit=false]     - Init inserted elements matching `selector` and destroy instances of removed elements
+ * @param {string}      [config.initOn='immediate'] - When to create instances: `immediate`, `visible`, `idle` or `interaction`
+ * @param {Object}      [config.initOnOptions={}]   - `rootMargin` and `threshold` for `visible`, `timeout` for `idle`
+ * @param {Object}      [config.registry]           - Registry to use. Defaults to the global registry. See `createRegistry`.
+ * @param {string|Node} [config.context=null]       - Node to query selector strings in and to watch with `autoInit`, e.g. a shadow root
+ * @return {Object} The plugin system
+ *
+ * @example
+ * function Plugin( element, options ) {
+ *   const onOptionsChanged = ( changes, settings ) => {
+ *     // changes: [ { type: 'change', path: 'speed', value: 500, oldValue: 300 } ]
+ *     element.style.setProperty( '--speed', `${ settings.speed }ms` );
+ *   };
+ *   return { onOptionsChanged };
+ * }
+ *
+ * const Slider = createPlugin( {
+ *   selector: '[data-slider]',
+ *   plugin: Plugin,
+ *   namespace: 'slider',
+ *   attribute: 'slider',
+ *   observe: true,
+ * } );
+ *
+ * Slider.setup();
+ * Slider.init();
+ *
+ * // Calls onOptionsChanged instead of reloading the instance.
+ * document.querySelector( '[data-slider]' ).setAttribute( 'data-slider--speed', '500' );
+ *
+ * @since 0.7.0
+ */
 export function createPlugin( {
 	selector,
 	options = {},
 	plugin,
 	namespace,
 	callback = { onSetup: () => {}, onClear: () => {} },
+	schema = null,
+	attribute = null,
+	observe = false,
+	autoInit = false,
+	initOn = 'immediate',
+	initOnOptions = {},
+	registry,
+	context = null,
 } ) {
+	if ( observe && ! attribute ) {
+		throw new Error(
+			`Plugin: "${ namespace }" needs an "attribute" to observe option changes.`
+		);
+	}
+
+	if (
+		! [ 'immediate', 'visible', 'idle', 'interaction' ].includes( initOn )
+	) {
+		throw new Error(
+			`Plugin: "${ namespace }" has unknown initOn strategy "${ initOn }".`
+		);
+	}
+
+	initOnOptions = {
+		rootMargin: '0px',
+		threshold: 0,
+		timeout: 2000,
+		...initOnOptions,
+	};
+
 	const initEventType = `init`;
 	const destroyEventType = `destroy`;
 	const reloadEventType = `reload`;
+	const attributeName = attribute ? `data-${ toKebabCase( attribute ) }` : '';
+	// Observed element => { settings: init settings, options: resolved element options }.
+	const observedElements = new WeakMap();
+	let observer = null;
+	// Element waiting for its init strategy => { start, cancel }, replaced by clear().
+	let pendingElements = new WeakMap();
+	// Removes the interaction listeners of every pending element on clear().
+	let pendingController = null;
+	// Element awaited by whenReady() => { promise, resolve, reject }.
+	const readyElements = new WeakMap();
+	let visibilityObserver = null;
+
+	const interactionEvents = [
+		'pointerenter',
+		'pointerdown',
+		'focusin',
+		'touchstart',
+	];
+
+	// Calls start() as the initOn strategy says, returns a cancel function.
+	const deferInit = ( element, start ) => {
+		const view = getWindow();
+
+		if ( initOn === 'visible' && view.IntersectionObserver ) {
+			if ( visibilityObserver === null ) {
+				visibilityObserver = new view.IntersectionObserver(
+					( entries ) => {
+						entries
+							.filter( ( { isIntersecting } ) => isIntersecting )
+							.forEach( ( { target } ) => {
+								pendingElements.get( target )?.start();
+							} );
+					},
+					{
+						rootMargin: initOnOptions.rootMargin,
+						threshold: initOnOptions.threshold,
+					}
+				);
+			}
+			visibilityObserver.observe( element );
+			return () => visibilityObserver?.unobserve( element );
+		}
+
+		if ( initOn === 'idle' && view.requestIdleCallback ) {
+			const id = view.requestIdleCallback( start, {
+				timeout: initOnOptions.timeout,
+			} );
+			return () => view.cancelIdleCallback( id );
+		}
+
+		// Without IntersectionObserver or requestIdleCallback, init after the current task.
+		if ( initOn === 'visible' || initOn === 'idle' ) {
+			const id = setTimeout( start, 1 );
+			return () => clearTimeout( id );
+		}
+
+		if ( pendingController === null ) {
+			const { AbortController } = getWindow();
+			pendingController = new AbortController();
+		}
+		interactionEvents.forEach( ( eventType ) => {
+			element.addEventListener( eventType, start, {
+				passive: true,
+				once: true,
+				signal: pendingController.signal,
+			} );
+		} );
+		return () =>
+			interactionEvents.forEach( ( eventType ) => {
+				element.removeEventListener( eventType, start );
+			} );
+	};
+
 	return {
 		$event: null,
 		$controller: null,
+		$observer: null,
 
 		get instance() {
 			return {
 				init( $element, settings ) {
+					if ( initOn === 'immediate' ) {
+						this.create( $element, settings );
+						return;
+					}
+					for ( const element of getElements( $element, context ) ) {
+						this.schedule( element, settings );
+					}
+				},
+				create( $element, settings ) {
 					const instance = createPluginInstance(
 						$element,
 						settings,
 						plugin,
-						namespace
+						namespace,
+						{ schema, attribute, registry, context }
 					);
+					this.settle( $element );
 					if ( ! instance || instance.length === 0 ) {
 						return;
 					}
@@ -2822,30 +5891,235 @@ export function createPlugin( {
 							} );
 						}
 					}
+					if ( observe ) {
+						this.observe( instance, settings );
+					}
+				},
+				// Settles whenReady() of created elements, rejects it for elements failing validation.
+				settle( $element ) {
+					const store = getPluginInstanceStore( namespace, registry );
+					for ( const element of getElements( $element, context ) ) {
+						if ( ! readyElements.has( element ) ) {
+							continue;
+						}
+						const { resolve, reject } =
+							readyElements.get( element );
+						readyElements.delete( element );
+						if ( store.has( element ) ) {
+							resolve( store.get( element ).ready );
+						} else {
+							reject(
+								new Error(
+									`Plugin: "${ namespace }" element options are invalid.`
+								)
+							);
+						}
+					}
+				},
+				schedule( element, settings ) {
+					if (
+						pendingElements.has( element ) ||
+						getPluginInstanceStore( namespace, registry ).has(
+							element
+						)
+					) {
+						return;
+					}
+					const start = () => {
+						// Timers and listeners left over from clear() do nothing.
+						if ( pendingElements.get( element )?.start !== start ) {
+							return;
+						}
+						this.cancel( element );
+						this.create( element, settings );
+					};
+					pendingElements.set( element, {
+						start,
+						cancel: deferInit( element, start ),
+					} );
+				},
+				cancel( element ) {
+					if ( pendingElements.has( element ) ) {
+						pendingElements.get( element ).cancel();
+						pendingElements.delete( element );
+					}
 				},
 				destroy( $element ) {
-					const instance = getPluginInstance( $element, namespace );
+					for ( const element of getElements( $element, context ) ) {
+						this.cancel( element );
+					}
+					const instance = getPluginInstance(
+						$element,
+						namespace,
+						registry,
+						context
+					);
 					if ( ! instance || instance.length === 0 ) {
 						return;
 					}
-					for ( const { destroy } of instance ) {
+					for ( const { element, destroy } of instance ) {
 						if ( typeof destroy === 'function' ) {
 							destroy();
 						}
+						observedElements.delete( element );
 					}
 				},
 				reload( $element, settings ) {
-					this.destroy( $element );
-					this.init( $element, settings );
+					const pending = getPluginInstance(
+						$element,
+						namespace,
+						registry,
+						context
+					)
+						.filter( ( { state } ) => state === 'initializing' )
+						.map( ( { ready } ) => ready );
+
+					if ( pending.length === 0 ) {
+						this.destroy( $element );
+						this.init( $element, settings );
+						return;
+					}
+
+					// Wait for pending async init before tearing down.
+					Promise.allSettled( pending ).then( () => {
+						this.destroy( $element );
+						this.init( $element, settings );
+					} );
+				},
+				observe( instance, settings ) {
+					if ( observer === null ) {
+						const { MutationObserver } = getWindow();
+						observer = new MutationObserver( ( mutations ) => {
+							this.update( mutations );
+						} );
+					}
+					for ( const { element } of instance ) {
+						const { settings: elementOptions } = getElementSettings(
+							element,
+							settings,
+							{ schema, attribute }
+						);
+						observedElements.set( element, {
+							settings,
+							options: elementOptions,
+						} );
+						observer.observe( element, { attributes: true } );
+					}
+				},
+				update( mutations ) {
+					const elements = new Set(
+						mutations
+							.filter(
+								( { attributeName: name } ) =>
+									name === attributeName ||
+									name.startsWith( `${ attributeName }--` )
+							)
+							.map( ( { target } ) => target )
+					);
+
+					for ( const element of elements ) {
+						const observed = observedElements.get( element );
+						const [ instance ] = getPluginInstance(
+							element,
+							namespace,
+							registry,
+							context
+						);
+						if ( ! observed || ! instance ) {
+							continue;
+						}
+
+						const {
+							settings: elementOptions,
+							errors,
+							valid,
+						} = getElementSettings( element, observed.settings, {
+							schema,
+							attribute,
+						} );
+
+						errors.forEach( ( { message } ) => {
+							console.warn(
+								`${ toUpperCamelCase(
+									namespace
+								) }: ${ message }`,
+								element
+							);
+						} );
+						if ( ! valid ) {
+							continue;
+						}
+
+						const changes = diffObjects(
+							observed.options,
+							elementOptions
+						);
+
+						if ( changes.length === 0 ) {
+							continue;
+						}
+
+						observed.options = elementOptions;
+
+						const isHandled =
+							typeof instance.onOptionsChanged === 'function' &&
+							instance.onOptionsChanged(
+								changes,
+								elementOptions
+							) !== false;
+
+						if ( ! isHandled ) {
+							this.reload( element, observed.settings );
+							continue;
+						}
+
+						getPluginLifecycle( namespace, registry ).trigger(
+							[ element, getDocument() ],
+							'updated',
+							{
+								element,
+								instance,
+								changes,
+								options: elementOptions,
+							}
+						);
+					}
 				},
 			};
 		},
 		get controller() {
 			return this.$controller;
 		},
+		get lifecycle() {
+			return getPluginLifecycle( namespace, registry );
+		},
 
 		get( $element = this.config.selector ) {
-			return getPluginInstance( $element, namespace );
+			return getPluginInstance( $element, namespace, registry, context );
+		},
+
+		// Resolves with the element instance once it is created and ready.
+		whenReady( $element ) {
+			const element = getElement( $element, context );
+			if ( element === null ) {
+				return Promise.reject(
+					new Error( `Plugin: "${ namespace }" element not found.` )
+				);
+			}
+			const store = getPluginInstanceStore( namespace, registry );
+			if ( store.has( element ) ) {
+				return store.get( element ).ready;
+			}
+			if ( ! readyElements.has( element ) ) {
+				let resolve;
+				let reject;
+				const promise = new Promise( ( done, fail ) => {
+					resolve = done;
+					reject = fail;
+				} );
+				readyElements.set( element, { promise, resolve, reject } );
+			}
+			return readyElements.get( element ).promise;
 		},
 
 		// Setup events.
@@ -2867,7 +6141,20 @@ export function createPlugin( {
 				callback: deepMerge( defaultCallback, callback, $callback ),
 			};
 
-			this.$event = createEventManager( toSnakeCase( namespace ) );
+			// Inert without a DOM.
+			if ( ! hasDOM() ) {
+				return;
+			}
+
+			this.$event = createEventManager(
+				toPluginEventNamespace( namespace ),
+				{
+					prefix: 'storepress',
+					separator: ':',
+					registry,
+				}
+			);
+			const { AbortController } = getWindow();
 			this.$controller = new AbortController();
 
 			this.$event.removeAll();
@@ -2918,7 +6205,7 @@ export function createPlugin( {
 
 			// Init.
 			this.$event.add(
-				document,
+				getDocument(),
 				initEventType,
 				handleInit,
 				eventOptions
@@ -2926,7 +6213,7 @@ export function createPlugin( {
 
 			// Destroy.
 			this.$event.add(
-				document,
+				getDocument(),
 				destroyEventType,
 				handleDestroy,
 				eventOptions
@@ -2934,19 +6221,107 @@ export function createPlugin( {
 
 			// Reload.
 			this.$event.add(
-				document,
+				getDocument(),
 				reloadEventType,
 				handleReload,
 				eventOptions
 			);
 
+			// Auto init.
+			if ( autoInit ) {
+				this.observeDocument();
+			}
+
 			this.config.callback.onSetup.call( this );
 		},
+		// Init inserted elements and destroy removed elements.
+		observeDocument() {
+			if ( this.$observer !== null ) {
+				this.$observer.disconnect();
+			}
+
+			const $selector = this.config.selector;
+
+			if ( typeof $selector !== 'string' ) {
+				throw new Error(
+					`Plugin: "${ namespace }" needs a selector string to auto init elements.`
+				);
+			}
+
+			const collectElements = ( node, $elements ) => {
+				if ( node.nodeType !== getWindow().Node.ELEMENT_NODE ) {
+					return;
+				}
+				if ( node.matches( $selector ) ) {
+					$elements.add( node );
+				}
+				node.querySelectorAll( $selector ).forEach( ( $element ) => {
+					$elements.add( $element );
+				} );
+			};
+
+			const handleMutations = ( mutations ) => {
+				const added = new Set();
+				const removed = new Set();
+
+				for ( const { addedNodes, removedNodes } of mutations ) {
+					addedNodes.forEach( ( node ) =>
+						collectElements( node, added )
+					);
+					removedNodes.forEach( ( node ) =>
+						collectElements( node, removed )
+					);
+				}
+
+				// Moved elements are removed and added again, keep their instances.
+				const removedElements = [ ...removed ].filter(
+					( $element ) => ! $element.isConnected
+				);
+				const addedElements = [ ...added ].filter(
+					( $element ) => $element.isConnected
+				);
+
+				if ( removedElements.length > 0 ) {
+					this.destroy( removedElements );
+				}
+
+				if ( addedElements.length > 0 ) {
+					this.init( addedElements );
+				}
+			};
+
+			const { MutationObserver } = getWindow();
+			this.$observer = new MutationObserver( handleMutations );
+			const root =
+				context === null ? getDocument() : getElement( context );
+			this.$observer.observe( root, {
+				childList: true,
+				subtree: true,
+			} );
+		},
 		// Clear setup events.
 		clear( $selector = this.config.selector ) {
+			if ( this.$event === null ) {
+				return;
+			}
 			this.destroy( $selector );
 			this.$event.removeAll();
 			this.controller.abort();
+			if ( observer !== null ) {
+				observer.disconnect();
+				observer = null;
+			}
+			if ( this.$observer !== null ) {
+				this.$observer.disconnect();
+				this.$observer = null;
+			}
+			pendingController?.abort();
+			pendingController = null;
+			pendingElements = new WeakMap();
+			if ( visibilityObserver !== null ) {
+				visibilityObserver.disconnect();
+				visibilityObserver = null;
+			}
 			this.config.callback.onClear.call( this );
 		},
 		// Init events.
@@ -2954,14 +6329,20 @@ export function createPlugin( {
 			$selector = this.config.selector,
 			$settings = this.config.options
 		) {
-			this.$event.trigger( document, initEventType, {
+			if ( this.$event === null ) {
+				return;
+			}
+			this.$event.trigger( getDocument(), initEventType, {
 				element: $selector,
 				settings: $settings,
 			} );
 		},
 		// Destroy events.
 		destroy( $selector = this.config.selector ) {
-			this.$event.trigger( document, destroyEventType, {
+			if ( this.$event === null ) {
+				return;
+			}
+			this.$event.trigger( getDocument(), destroyEventType, {
 				element: $selector,
 			} );
 		},
@@ -2970,7 +6351,10 @@ export function createPlugin( {
 			$selector = this.config.selector,
 			$settings = this.config.options
 		) {
-			this.$event.trigger( document, reloadEventType, {
+			if ( this.$event === null ) {
+				return;
+			}
+			this.$event.trigger( getDocument(), reloadEventType, {
 				element: $selector,
 				settings: $settings,
 			} );
@@ -2978,51 +6362,235 @@ export function createPlugin( {
 	};
 }
 
-export function getStorePressPlugin( namespace ) {
+// Dispatched on document when a registered plugin finished its setup.
+const PLUGIN_SETUP_EVENT = 'storepress:plugin:setup';
+
+/**
+ * Finds a dependency path leading from a plugin back to itself.
+ *
+ * Dependencies of other plugins are read from the registry.
+ *
+ * @param {string}   name         - Registry name of the plugin
+ * @param {string[]} dependencies - Registry names of the plugin dependencies
+ * @param {Object}   registry     - Registry of the plugins
+ * @return {string[]|null} Registry names from the plugin back to itself, or null without a cycle
+ */
+const findDependencyCycle = ( name, dependencies, registry ) => {
+	const plugins = registry.$Plugins;
+
+	const visit = ( current, path ) => {
+		const next =
+			current === name
+				? dependencies
+				: plugins[ current ]?.Dependencies || [];
+
+		for ( const dependency of next ) {
+			if ( dependency === name ) {
+				return [ ...path, dependency ];
+			}
+			// Cycles without this plugin were reported when they were registered.
+			if ( path.includes( dependency ) ) {
+				continue;
+			}
+			const cycle = visit( dependency, [ ...path, dependency ] );
+			if ( cycle !== null ) {
+				return cycle;
+			}
+		}
+
+		return null;
+	};
+
+	return visit( name, [ name ] );
+};
+
+export function getStorePressPlugin(
+	namespace,
+	registry = getDefaultRegistry()
+) {
 	const name = toUpperCamelCase( namespace );
 
-	window.StorePress = window.StorePress || {};
-	window.StorePress.$Plugins = window.StorePress.$Plugins || {};
-	window.StorePress.$Plugins[ name ] =
-		window.StorePress.$Plugins[ name ] || {};
+	registry.$Plugins[ name ] = registry.$Plugins[ name ] || {};
 
 	// Create if it doesn't exist
-	if ( ! window.StorePress.$Plugins[ name ].Plugin ) {
-		window.StorePress.$Plugins[ name ].Plugin = {};
+	if ( ! registry.$Plugins[ name ].Plugin ) {
+		registry.$Plugins[ name ].Plugin = {};
 	}
 
-	return window.StorePress.$Plugins[ name ].Plugin;
+	return registry.$Plugins[ name ].Plugin;
 }
 
+/**
+ * Creates a plugin system with `createPlugin` and registers it in the registry
+ * (`window.StorePress.$Plugins` by default).
+ *
+ * A plugin can depend on other registered plugins by namespace. Its `setup` waits until
+ * every dependency finished its own `setup`, so plugins are set up in dependency order
+ * whatever order their scripts run in. `init`, `destroy` and `reload` calls made while
+ * waiting run after the setup. Dependencies missing from the registry at `setup` are
+ * reported with a warning. Dependency cycles throw an error.
+ *
+ * @param {Object}      config                      - Plugin configuration. See `createPlugin`.
+ * @param {string}      config.selector             - Default selector of the plugin elements
+ * @param {Object}      [config.options={}]         - Default plugin options
+ * @param {Function}    config.plugin               - Plugin constructor
+ * @param {string}      config.namespace            - Plugin namespace, also its registry name
+ * @param {Object}      [config.callback]           - `onSetup` and `onClear` callbacks
+ * @param {Object|null} [config.schema=null]        - Option schema
+ * @param {string|null} [config.attribute=null]     - Data attribute to read element options from
+ * @param {boolean}     [config.observe=false]      - Update instances on attribute changes
+ * @param {boolean}     [config.autoInit=false]     - Init inserted elements and destroy removed ones
+ * @param {string}      [config.initOn='immediate'] - When to create instances
+ * @param {Object}      [config.initOnOptions={}]   - Options of the `initOn` strategy
+ * @param {Object}      [config.registry]           - Registry to register in. Defaults to the global registry.
+ * @param {string|Node} [config.context=null]       - Node to query selector strings in
+ * @param {string[]}    [config.dependencies=[]]    - Namespaces of the plugins this plugin depends on
+ * @return {Object} The registered plugin system
+ *
+ * @example
+ * const QuickView = createStorePressPlugin( {
+ *   selector: '.quick-view',
+ *   plugin: Plugin,
+ *   namespace: 'quick-view',
+ *   dependencies: [ 'gallery' ],
+ * } );
+ *
+ * QuickView.setup(); // Runs after `Gallery.setup()`.
+ * QuickView.init();
+ */
 export function createStorePressPlugin( {
 	selector,
 	options = {},
 	plugin,
 	namespace,
 	callback = { onSetup: () => {}, onClear: () => {} },
+	schema = null,
+	attribute = null,
+	observe = false,
+	autoInit = false,
+	initOn = 'immediate',
+	initOnOptions = {},
+	dependencies = [],
+	registry = getDefaultRegistry(),
+	context = null,
 } ) {
+	const name = toUpperCamelCase( namespace );
+	const dependencyNames = dependencies.map( ( dependency ) =>
+		toUpperCamelCase( dependency )
+	);
+	const cycle = findDependencyCycle( name, dependencyNames, registry );
+
+	if ( cycle !== null ) {
+		throw new Error(
+			`Plugin: "${ namespace }" has a dependency cycle: ${ cycle.join(
+				' -> '
+			) }.`
+		);
+	}
+
 	const StorePressPlugin = createPlugin( {
 		selector,
 		options,
 		plugin,
 		namespace,
 		callback,
+		schema,
+		attribute,
+		observe,
+		autoInit,
+		initOn,
+		initOnOptions,
+		registry,
+		context,
 	} );
 
-	const name = toUpperCamelCase( namespace );
-
 	// Ensure nested structure exists
-	window.StorePress = window.StorePress || {};
-	window.StorePress.$Plugins = window.StorePress.$Plugins || {};
-	window.StorePress.$Plugins[ name ] =
-		window.StorePress.$Plugins[ name ] || {};
+	registry.$Plugins[ name ] = registry.$Plugins[ name ] || {};
 
-	// Create if it doesn't exist
-	if ( ! window.StorePress.$Plugins[ name ].Plugin ) {
-		window.StorePress.$Plugins[ name ].Plugin = {};
-	}
+	registry.$Plugins[ name ].Plugin = StorePressPlugin;
+	registry.$Plugins[ name ].Dependencies = dependencyNames;
+	registry.$Plugins[ name ].Setup = false;
+
+	const { setup, clear } = StorePressPlugin;
+	// Aborts the wait for dependencies.
+	let waiting = null;
+	// Calls made while waiting for dependencies.
+	let queued = [];
+
+	StorePressPlugin.setup = function ( ...args ) {
+		waiting?.abort();
+		waiting = null;
+
+		const run = () => {
+			const isReady = dependencyNames.every(
+				( dependency ) =>
+					registry.$Plugins[ dependency ]?.Setup === true
+			);
+			if ( ! isReady ) {
+				return false;
+			}
+			waiting?.abort();
+			waiting = null;
+			setup.apply( this, args );
+			registry.$Plugins[ name ].Setup = true;
+			triggerEvent( getDocument(), PLUGIN_SETUP_EVENT, {
+				namespace: name,
+			} );
+			queued
+				.splice( 0 )
+				.forEach( ( [ method, methodArgs ] ) =>
+					this[ method ]( ...methodArgs )
+				);
+			return true;
+		};
+
+		if ( ! hasDOM() ) {
+			setup.apply( this, args );
+			return;
+		}
+
+		if ( ! run() ) {
+			// Registered plugins have a `Setup` flag, placeholders from getStorePressPlugin do not.
+			const missing = dependencyNames.filter(
+				( dependency ) =>
+					typeof registry.$Plugins[ dependency ]?.Setup !== 'boolean'
+			);
+			if ( missing.length > 0 ) {
+				console.warn(
+					`Plugin: "${ namespace }" depends on unregistered plugins: ${ missing.join(
+						', '
+					) }. Its setup waits until they are registered and set up.`
+				);
+			}
+			const { AbortController } = getWindow();
+			waiting = new AbortController();
+			getDocument().addEventListener( PLUGIN_SETUP_EVENT, run, {
+				signal: waiting.signal,
+			} );
+		}
+	};
+
+	[ 'init', 'destroy', 'reload' ].forEach( ( method ) => {
+		const fn = StorePressPlugin[ method ];
+		StorePressPlugin[ method ] = function ( ...args ) {
+			if ( waiting !== null ) {
+				queued.push( [ method, args ] );
+				return;
+			}
+			fn.apply( this, args );
+		};
+	} );
 
-	window.StorePress.$Plugins[ name ].Plugin = StorePressPlugin;
+	StorePressPlugin.clear = function ( ...args ) {
+		registry.$Plugins[ name ].Setup = false;
+		if ( waiting !== null ) {
+			waiting.abort();
+			waiting = null;
+			queued = [];
+			return;
+		}
+		clear.apply( this, args );
+	};
 
 	return StorePressPlugin;
 }
@@ -6,6 +6,8 @@
 
 import {
   getOptionsFromAttribute,
+  getValidatedOptionsFromAttribute,
+  validateOptions,
 } from '../src'
 
 describe('@storepress/utils - DOM Attribute Utilities', () => {
@@ -178,5 +180,162 @@ describe('@storepress/utils - DOM Attribute Utilities', () => {
       expect(options.new).toBe('added')
     })
   })
-})
 
+  describe('validateOptions', () => {
+    it('coerces values to the declared types', () => {
+      const { options, errors, valid } = validateOptions(
+        {
+          sku: '0012',
+          qty: '2',
+          autoplay: 'yes',
+          pattern: '/^a$/i',
+          steps: '[1, 2]',
+        },
+        {
+          sku: 'string',
+          qty: 'integer',
+          autoplay: 'boolean',
+          pattern: 'regexp',
+          steps: { type: 'array', items: 'number' },
+        },
+      )
+
+      expect(valid).toBe(true)
+      expect(errors).toEqual([])
+      expect(options.sku).toBe('0012')
+      expect(options.qty).toBe(2)
+      expect(options.autoplay).toBe(true)
+      expect(options.pattern).toBeRegExp()
+      expect(options.steps).toEqual([1, 2])
+    })
+
+    it('applies defaults and reports required options', () => {
+      const { options, errors } = validateOptions(
+        {},
+        {
+          speed: { type: 'number', default: 300 },
+          sku: { type: 'string', required: true },
+        },
+      )
+
+      expect(options).toEqual({ speed: 300 })
+      expect(errors).toEqual([
+        {
+          path: 'sku',
+          code: 'required',
+          message: 'Option "sku" is required.',
+          value: undefined,
+        },
+      ])
+    })
+
+    it('reports type, enum and range errors and falls back to defaults', () => {
+      const { options, errors } = validateOptions(
+        { speed: 'fast', effect: 'zoom', items: 12, label: '' },
+        {
+          speed: { type: 'number', default: 300 },
+          effect: { type: 'string', enum: ['slide', 'fade'], default: 'slide' },
+          items: { type: 'integer', min: 1, max: 10 },
+          label: { type: 'string', min: 1 },
+        },
+      )
+
+      expect(options).toEqual({ speed: 300, effect: 'slide' })
+      expect(errors.map(({ path, code }) => `${path}:${code}`)).toEqual([
+        'speed:type',
+        'effect:enum',
+        'items:max',
+        'label:min',
+      ])
+      expect(errors[0].message).toBe(
+        'Option "speed" expects a number, received "fast".',
+      )
+    })
+
+    it('validates nested objects and array items with paths', () => {
+      const { options, errors } = validateOptions(
+        { animation: { duration: 'slow', easing: 'ease' }, steps: [1, 'x'] },
+        {
+          animation: {
+            type: 'object',
+            properties: { duration: 'integer', easing: 'string' },
+          },
+          steps: { type: 'array', items: 'number' },
+        },
+      )
+
+      expect(options).toEqual({ animation: { easing: 'ease' }, steps: [1] })
+      expect(errors.map(({ path }) => path)).toEqual([
+        'animation.duration',
+        'steps.1',
+      ])
+    })
+
+    it('reports unknown options unless allowed', () => {
+      const schema = { speed: 'number' }
+
+      const strict = validateOptions({ sped: 1 }, schema)
+      expect(strict.options).toEqual({})
+      expect(strict.errors[0].code).toBe('unknown')
+
+      const loose = validateOptions({ sped: 1 }, schema, { allowUnknown: true })
+      expect(loose.options).toEqual({ sped: 1 })
+      expect(loose.valid).toBe(true)
+    })
+  })
+
+  describe('getValidatedOptionsFromAttribute', () => {
+    it('lets the schema drive coercion of attribute values', () => {
+      document.body.innerHTML = `
+				<div id="test"
+					data-product='{"sku": "0012"}'
+					data-product--qty="2"
+					data-product--code="0034">
+				</div>
+			`
+      const { options, valid } = getValidatedOptionsFromAttribute(
+        '#test',
+        'product',
+        { sku: 'string', qty: 'integer', code: 'string' },
+      )
+
+      expect(valid).toBe(true)
+      expect(options).toEqual({ sku: '0012', qty: 2, code: '0034' })
+    })
+
+    it('reports misspelled override attributes', () => {
+      document.body.innerHTML = `
+				<div id="test" data-product--qtty="2"></div>
+			`
+      const { options, errors } = getValidatedOptionsFromAttribute(
+        '#test',
+        'product',
+        { qty: { type: 'integer', default: 1 } },
+      )
+
+      expect(options).toEqual({ qty: 1 })
+      expect(errors[0]).toEqual({
+        path: 'qtty',
+        code: 'unknown',
+        message: 'Unknown option "qtty".',
+        value: '2',
+      })
+    })
+
+    it('is used by getOptionsFromAttribute when a schema feature is given', () => {
+      document.body.innerHTML = `
+				<div id="test" data-product--sku="0012" data-product--typo="1"></div>
+			`
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      const options = getOptionsFromAttribute('#test', 'product', {
+        schema: { sku: 'string' },
+      })
+
+      expect(options).toEqual({ sku: '0012' })
+      expect(warn).toHaveBeenCalledWith(
+        'Invalid "product" option: Unknown option "typo".',
+      )
+      warn.mockRestore()
+    })
+  })
+})
@@ -8,6 +8,9 @@ import {
   getElement,
   getElements,
   escapeRegex,
+  setDocument,
+  getDocument,
+  getOptionsFromAttribute,
 } from '../src'
 
 describe('@storepress/utils - DOM Utilities', () => {
@@ -79,6 +82,27 @@ describe('@storepress/utils - DOM Utilities', () => {
       expect(element).toBeTruthy()
       expect(element.id).toBe('test-button')
     })
+
+    it('returns any EventTarget', () => {
+      const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg')
+      const fragment = document.createDocumentFragment()
+      const shadowRoot = document.createElement('div').attachShadow({ mode: 'open' })
+
+      expect(getElement(svg)).toBe(svg)
+      expect(getElement(fragment)).toBe(fragment)
+      expect(getElement(shadowRoot)).toBe(shadowRoot)
+      expect(getElement(window)).toBe(window)
+    })
+
+    it('queries selectors in a context', () => {
+      const host = document.getElementById('test-div')
+      const shadowRoot = host.attachShadow({ mode: 'open' })
+      shadowRoot.innerHTML = '<span class="test-class">Shadow</span>'
+
+      expect(getElement('.test-class', shadowRoot).textContent).toBe('Shadow')
+      expect(getElement('span', '#test-div')).toBeNull()
+      expect(getElement('.test-class', '#missing')).toBeNull()
+    })
   })
 
   describe('getElements', () => {
@@ -134,6 +158,58 @@ describe('@storepress/utils - DOM Utilities', () => {
       const elements = getElements('div.item')
       expect(elements.length).toBe(3)
     })
+
+    it('converts iterables to arrays', () => {
+      const items = Array.from(document.querySelectorAll('.item'))
+      const generate = function * () {
+        yield * items
+      }
+
+      expect(getElements(new Set(items))).toEqual(items)
+      expect(getElements(document.getElementsByClassName('item'))).toEqual(items)
+      expect(getElements(generate())).toEqual(items)
+    })
+
+    it('returns a single EventTarget in an array', () => {
+      const shadowRoot = document.getElementById('single').attachShadow({ mode: 'open' })
+
+      const [target] = getElements(window)
+
+      expect(target).toBe(window)
+      expect(getElements(shadowRoot)).toEqual([shadowRoot])
+    })
+
+    it('queries selectors in a context', () => {
+      const shadowRoot = document.getElementById('single').attachShadow({ mode: 'open' })
+      shadowRoot.innerHTML = '<i class="item"></i><i class="item"></i>'
+
+      expect(getElements('.item', shadowRoot).length).toBe(2)
+      expect(getElements('.item', '#missing')).toEqual([])
+    })
+  })
+
+  describe('setDocument', () => {
+    afterEach(() => {
+      setDocument()
+    })
+
+    it('runs DOM functions against an injected document', () => {
+      const $document = document.implementation.createHTMLDocument('')
+      $document.body.innerHTML = '<div id="product" data-product--sku="0012"></div>'
+      setDocument($document)
+
+      const element = getElement('#product')
+
+      expect(getDocument()).toBe($document)
+      expect(element.ownerDocument).toBe($document)
+      expect(getElements('#product').length).toBe(1)
+      expect(getOptionsFromAttribute('#product', 'product')).toEqual({ sku: 12 })
+
+      setDocument()
+
+      expect(getDocument()).toBe(document)
+      expect(getElement('#product')).toBeNull()
+    })
   })
 
   describe('escapeRegex', () => {
@@ -4,7 +4,38 @@
  * @package @storepress/utils
  */
 
-import { triggerEvent, swipeEvent, createEventManager, getEventStore } from '../src'
+import {
+  triggerEvent,
+  swipeEvent,
+  swipeKeyboardEvent,
+  gestureEvent,
+  createEventManager,
+  createEventBus,
+  createJQueryBridge,
+  createRegistry,
+  getEventStore,
+} from '../src'
+
+// Dispatches a pointer event, the pointer with id 1 is the primary one.
+const pointer = (
+  element,
+  type,
+  x,
+  y = 0,
+  { pointerId = 1, pointerType = 'mouse' } = {},
+) => {
+  element.dispatchEvent(
+    new PointerEvent(type, {
+      clientX: x,
+      clientY: y,
+      x,
+      y,
+      pointerId,
+      pointerType,
+      isPrimary: type === 'pointerdown' && pointerId === 1,
+    }),
+  )
+}
 
 describe('@storepress/utils - Event Utilities', () => {
   describe('triggerEvent', () => {
@@ -227,6 +258,541 @@ describe('@storepress/utils - Event Utilities', () => {
     })
   })
 
+  describe('swipeEvent velocity', () => {
+    let element
+
+    beforeEach(() => {
+      jest.useFakeTimers()
+      document.body.innerHTML = '<div id="slider"></div>'
+      element = document.getElementById('slider')
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('reports timing, velocity and inertia', () => {
+      const handler = jest.fn()
+      swipeEvent(element, handler)
+
+      pointer(element, 'pointerdown', 200, 100)
+      jest.advanceTimersByTime(20)
+      pointer(element, 'pointermove', 160, 100)
+      jest.advanceTimersByTime(20)
+      pointer(element, 'pointermove', 100, 100)
+      pointer(element, 'pointerup', 100, 100)
+
+      const [moving, , done] = handler.mock.calls.map(([event]) => event.detail)
+      expect(moving).toMatchObject({
+        x: -40,
+        direction: 'left',
+        distance: 40,
+        duration: 20,
+        velocityX: -2,
+        velocity: 2,
+        averageVelocity: 2,
+        moving: true,
+      })
+      expect(done).toMatchObject({
+        x: -100,
+        direction: 'left',
+        distance: 100,
+        duration: 40,
+        velocityX: -2.5,
+        velocityY: 0,
+        velocity: 2.5,
+        averageVelocity: 2.5,
+        isSwipe: true,
+        done: true,
+      })
+      expect(done.projectedX).toBeCloseTo(-100 - 2.5 * 499)
+      expect(done.projectedY).toBe(0)
+    })
+
+    it('keeps the flick velocity when released where the pointer stopped', () => {
+      const handler = jest.fn()
+      swipeEvent(element, handler)
+
+      pointer(element, 'pointerdown', 200, 100)
+      jest.advanceTimersByTime(20)
+      pointer(element, 'pointermove', 150, 100)
+      jest.advanceTimersByTime(20)
+      pointer(element, 'pointermove', 80, 100)
+      jest.advanceTimersByTime(16)
+      pointer(element, 'pointermove', 80, 100)
+      jest.advanceTimersByTime(30)
+      pointer(element, 'pointerup', 80, 100)
+
+      const done = handler.mock.calls.at(-1)[0].detail
+      expect(done.velocityX).toBe(-3)
+      expect(done.isSwipe).toBe(true)
+      expect(done.projectedX).toBeLessThan(done.x)
+    })
+
+    it('measures velocity over the recent moves only', () => {
+      const handler = jest.fn()
+      swipeEvent(element, handler, { velocityWindow: 50 })
+
+      pointer(element, 'pointerdown', 0, 0)
+      jest.advanceTimersByTime(200)
+      pointer(element, 'pointermove', 20, 0)
+      jest.advanceTimersByTime(25)
+      pointer(element, 'pointermove', 70, 0)
+      jest.advanceTimersByTime(25)
+      pointer(element, 'pointermove', 120, 0)
+      pointer(element, 'pointerup', 120, 0)
+
+      expect(handler.mock.calls.at(-1)[0].detail.velocityX).toBe(2)
+    })
+
+    it('does not count slow drags as swipes', () => {
+      const handler = jest.fn()
+      swipeEvent(element, handler)
+
+      pointer(element, 'pointerdown', 0, 0)
+      jest.advanceTimersByTime(50)
+      pointer(element, 'pointermove', 0, 60)
+      jest.advanceTimersByTime(400)
+      pointer(element, 'pointerup', 0, 60)
+
+      const done = handler.mock.calls.at(-1)[0].detail
+      expect(done.direction).toBe('down')
+      expect(done.velocity).toBe(0)
+      expect(done.isSwipe).toBe(false)
+    })
+
+    it('applies minVelocity and maxDuration thresholds', () => {
+      const handler = jest.fn()
+      swipeEvent(element, handler, { minVelocity: 5, maxDuration: 30 })
+
+      pointer(element, 'pointerdown', 0, 0)
+      jest.advanceTimersByTime(20)
+      pointer(element, 'pointermove', 80, 0)
+      pointer(element, 'pointerup', 80, 0)
+      expect(handler.mock.calls.at(-1)[0].detail.isSwipe).toBe(false)
+
+      pointer(element, 'pointerdown', 0, 0)
+      jest.advanceTimersByTime(40)
+      pointer(element, 'pointermove', 400, 0)
+      pointer(element, 'pointerup', 400, 0)
+      expect(handler.mock.calls.at(-1)[0].detail).toMatchObject({
+        velocity: 10,
+        isSwipe: false,
+      })
+
+      pointer(element, 'pointerdown', 0, 0)
+      jest.advanceTimersByTime(10)
+      pointer(element, 'pointermove', 0, -100)
+      pointer(element, 'pointerup', 0, -100)
+      expect(handler.mock.calls.at(-1)[0].detail).toMatchObject({
+        direction: 'up',
+        isSwipe: true,
+      })
+    })
+  })
+
+  describe('swipeEvent pointers', () => {
+    let element
+    const touch = (type, x, identifier = 1) => {
+      element.dispatchEvent(
+        new TouchEvent(type, {
+          changedTouches: [{ identifier, clientX: x, clientY: 0 }],
+        }),
+      )
+    }
+    const details = (handler) =>
+      handler.mock.calls.map(([event]) => event.detail)
+
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="slider"></div>'
+      element = document.getElementById('slider')
+    })
+
+    it('tracks the first pointer and ignores others', () => {
+      const handler = jest.fn()
+      swipeEvent(element, handler)
+
+      pointer(element, 'pointerdown', 100)
+      pointer(element, 'pointerdown', 300, 0, { pointerId: 2 })
+      pointer(element, 'pointermove', 320, 0, { pointerId: 2 })
+      pointer(element, 'pointermove', 60)
+      pointer(element, 'pointerup', 320, 0, { pointerId: 2 })
+      pointer(element, 'pointerup', 40)
+
+      expect(details(handler).map(({ x, done }) => [x, done])).toEqual([
+        [-40, false],
+        [-60, true],
+      ])
+    })
+
+    it('tracks the first touch and ignores others', () => {
+      const handler = jest.fn()
+      swipeEvent(element, handler, { touchOnly: true })
+
+      touch('touchstart', 100, 1)
+      touch('touchstart', 300, 2)
+      touch('touchmove', 340, 2)
+      touch('touchmove', 150, 1)
+      touch('touchend', 160, 1)
+
+      expect(details(handler).map(({ x }) => x)).toEqual([50, 60])
+    })
+
+    it('lets touch events take over a touch pointer', () => {
+      const handler = jest.fn()
+      swipeEvent(element, handler)
+
+      pointer(element, 'pointerdown', 100, 0, { pointerType: 'touch' })
+      touch('touchstart', 100, 7)
+      pointer(element, 'pointercancel', 100, 0, { pointerType: 'touch' })
+      touch('touchmove', 60, 7)
+      touch('touchend', 20, 7)
+
+      expect(
+        details(handler).map(({ x, done, cancelled }) => [x, done, cancelled]),
+      ).toEqual([
+        [-40, false, false],
+        [-80, true, false],
+      ])
+    })
+
+    it('captures the pointer to keep swiping past the edge', () => {
+      const handler = jest.fn()
+      element.setPointerCapture = jest.fn()
+      element.hasPointerCapture = jest.fn(() => true)
+      swipeEvent(element, handler)
+
+      pointer(element, 'pointerdown', 100)
+      pointer(element, 'pointermove', 50)
+      pointer(element, 'pointerleave', 0)
+      pointer(element, 'pointermove', -20)
+      pointer(element, 'pointerup', -20)
+
+      expect(element.setPointerCapture).toHaveBeenCalledWith(1)
+      expect(details(handler).map(({ x, done }) => [x, done])).toEqual([
+        [-50, false],
+        [-120, false],
+        [-120, true],
+      ])
+    })
+
+    it('cancels on Escape and pointercancel', () => {
+      const handler = jest.fn()
+      swipeEvent(element, handler)
+
+      pointer(element, 'pointerdown', 100)
+      pointer(element, 'pointermove', 20)
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }))
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }))
+      pointer(element, 'pointerup', 20)
+
+      expect(details(handler).at(-1)).toMatchObject({
+        x: -80,
+        left: false,
+        direction: 'none',
+        isSwipe: false,
+        done: true,
+        cancelled: true,
+      })
+      expect(handler).toHaveBeenCalledTimes(2)
+
+      pointer(element, 'pointerdown', 100)
+      pointer(element, 'pointermove', 150)
+      pointer(element, 'pointercancel', 150)
+
+      expect(details(handler).at(-1)).toMatchObject({ x: 50, cancelled: true })
+      expect(details(handler)[0].cancelled).toBe(false)
+    })
+
+    it('sets touch-action while registered', () => {
+      element.style.touchAction = 'auto'
+      const unregister = swipeEvent(element, jest.fn(), {
+        touchAction: 'pan-y',
+      })
+
+      expect(element.style.touchAction).toBe('pan-y')
+      unregister()
+      expect(element.style.touchAction).toBe('auto')
+    })
+  })
+
+  describe('swipeKeyboardEvent', () => {
+    let element
+    const press = (key, options = {}, target = element) => {
+      const event = new KeyboardEvent('keydown', {
+        key,
+        bubbles: true,
+        cancelable: true,
+        ...options,
+      })
+      target.dispatchEvent(event)
+      return event
+    }
+    const region = () => document.querySelector('[aria-live="polite"]')
+
+    beforeEach(() => {
+      document.body.innerHTML =
+        '<div id="carousel" tabindex="0"><input type="text"></div>'
+      element = document.getElementById('carousel')
+    })
+
+    it('maps keys to completed swipes', () => {
+      const handler = jest.fn()
+      swipeEvent(element, handler, { keyboard: true })
+
+      const event = press('ArrowRight')
+      press('PageUp')
+      press('Home')
+
+      const details = handler.mock.calls.map(([e]) => e.detail)
+      expect(event.defaultPrevented).toBe(true)
+      expect(details[0]).toMatchObject({
+        x: -100,
+        y: 0,
+        left: true,
+        right: false,
+        direction: 'left',
+        distance: 100,
+        done: true,
+        moving: false,
+        cancelled: false,
+        isSwipe: true,
+        keyboard: true,
+        key: 'ArrowRight',
+        edge: null,
+      })
+      expect(details[1]).toMatchObject({ y: 100, direction: 'down' })
+      expect(details[2]).toMatchObject({ right: true, edge: 'start' })
+    })
+
+    it('ignores other keys, modifiers and editable fields', () => {
+      const handler = jest.fn()
+      swipeEvent(element, handler, { keyboard: true })
+
+      press('Enter')
+      press('ArrowLeft', { ctrlKey: true })
+      press('ArrowLeft', {}, element.querySelector('input'))
+
+      expect(handler).not.toHaveBeenCalled()
+    })
+
+    it('announces completed swipes in a live region', () => {
+      swipeEvent(element, jest.fn(), {
+        keyboard: true,
+        messages: { left: 'Next slide', end: 'Last slide' },
+      })
+
+      expect(region()).toBeNull()
+
+      press('ArrowRight')
+      expect(region().getAttribute('aria-atomic')).toBe('true')
+      expect(region().textContent).toBe('Next slide')
+
+      press('End')
+      expect(region().textContent).toBe('Last slide')
+
+      press('ArrowUp')
+      expect(region().textContent).toBe('Swiped down')
+    })
+
+    it('shares one live region and skips drags that are not swipes', () => {
+      const other = document.createElement('div')
+      document.body.append(other)
+      swipeKeyboardEvent(element)
+      swipeKeyboardEvent(other)
+
+      triggerEvent(element, 'swipe', {
+        done: true,
+        cancelled: false,
+        direction: 'left',
+        isSwipe: false,
+      })
+      expect(region()).toBeNull()
+
+      press('ArrowRight')
+      press('ArrowLeft', {}, other)
+
+      expect(document.querySelectorAll('[aria-live]')).toHaveLength(1)
+      expect(region().textContent).toBe('Swiped right')
+    })
+
+    it('is off by default and can be used on its own', () => {
+      const handler = jest.fn()
+      const unregister = swipeEvent(element, handler)
+      const event = press('ArrowRight')
+      expect(handler).not.toHaveBeenCalled()
+      expect(event.defaultPrevented).toBe(false)
+      expect(region()).toBeNull()
+      unregister()
+
+      const unregisterKeyboard = swipeKeyboardEvent(element, {
+        keyDistance: 1,
+        announce: false,
+      })
+      element.addEventListener('swipe', handler)
+      press('ArrowDown')
+      expect(handler.mock.calls[0][0].detail.y).toBe(-1)
+
+      unregisterKeyboard()
+      press('ArrowDown')
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(region()).toBeNull()
+    })
+  })
+
+  describe('gestureEvent', () => {
+    let element
+
+    beforeEach(() => {
+      jest.useFakeTimers()
+      document.body.innerHTML = '<div id="gallery"></div>'
+      element = document.getElementById('gallery')
+    })
+
+    afterEach(() => {
+      jest.useRealTimers()
+    })
+
+    it('recognizes taps and double taps', () => {
+      const tap = jest.fn()
+      const doubletap = jest.fn()
+      gestureEvent(element, { tap, doubletap })
+
+      pointer(element, 'pointerdown', 10, 20, { pointerType: 'touch' })
+      pointer(element, 'pointerup', 10, 20, { pointerType: 'touch' })
+      jest.advanceTimersByTime(100)
+      pointer(element, 'pointerdown', 12, 20, { pointerType: 'touch' })
+      pointer(element, 'pointerup', 12, 20, { pointerType: 'touch' })
+
+      expect(tap).toHaveBeenCalledTimes(2)
+      expect(tap.mock.calls[0][0].detail).toEqual({
+        clientX: 10,
+        clientY: 20,
+        pointerType: 'touch',
+      })
+      expect(doubletap).toHaveBeenCalledTimes(1)
+    })
+
+    it('recognizes long presses instead of taps', () => {
+      const tap = jest.fn()
+      const press = jest.fn()
+      gestureEvent(element, { tap, press })
+
+      pointer(element, 'pointerdown', 10, 20)
+      jest.advanceTimersByTime(500)
+      pointer(element, 'pointerup', 10, 20)
+
+      expect(press).toHaveBeenCalledTimes(1)
+      expect(tap).not.toHaveBeenCalled()
+    })
+
+    it('pans with axis locking', () => {
+      const pan = jest.fn()
+      gestureEvent(element, { pan })
+
+      pointer(element, 'pointerdown', 0, 0)
+      jest.advanceTimersByTime(100)
+      pointer(element, 'pointermove', 30, 5)
+      jest.advanceTimersByTime(200)
+      pointer(element, 'pointerup', 30, 5)
+
+      const details = pan.mock.calls.map(([event]) => event.detail)
+      expect(details[0]).toEqual({
+        x: 30,
+        y: 0,
+        axis: 'x',
+        velocityX: 0.3,
+        velocityY: 0,
+        moving: true,
+        done: false,
+      })
+      expect(details[1]).toMatchObject({ x: 30, velocityX: 0, done: true })
+    })
+
+    it('swipes on a fast release only', () => {
+      const swipe = jest.fn()
+      gestureEvent(element, { swipe })
+
+      pointer(element, 'pointerdown', 0, 0)
+      jest.advanceTimersByTime(10)
+      pointer(element, 'pointermove', 0, -50)
+      jest.advanceTimersByTime(10)
+      pointer(element, 'pointerup', 0, -100)
+
+      expect(swipe).toHaveBeenCalledTimes(1)
+      expect(swipe.mock.calls[0][0].detail).toMatchObject({
+        direction: 'up',
+        top: true,
+        y: -100,
+        velocity: 5,
+      })
+
+      pointer(element, 'pointerdown', 0, 0)
+      jest.advanceTimersByTime(10)
+      pointer(element, 'pointermove', 100, 0)
+      jest.advanceTimersByTime(500)
+      pointer(element, 'pointerup', 100, 0)
+
+      expect(swipe).toHaveBeenCalledTimes(1)
+    })
+
+    it('swipes when released where the pointer stopped', () => {
+      const swipe = jest.fn()
+      gestureEvent(element, { swipe })
+
+      pointer(element, 'pointerdown', 0, 0)
+      jest.advanceTimersByTime(16)
+      pointer(element, 'pointermove', 40, 0)
+      jest.advanceTimersByTime(16)
+      pointer(element, 'pointermove', 96, 0)
+      jest.advanceTimersByTime(40)
+      pointer(element, 'pointerup', 96, 0)
+
+      expect(swipe).toHaveBeenCalledTimes(1)
+      expect(swipe.mock.calls[0][0].detail).toMatchObject({
+        direction: 'right',
+        x: 96,
+        velocityX: 3,
+      })
+    })
+
+    it('pinches with two pointers', () => {
+      const pinch = jest.fn()
+      const tap = jest.fn()
+      gestureEvent(element, { pinch, tap })
+
+      pointer(element, 'pointerdown', 0, 0, { pointerId: 1 })
+      pointer(element, 'pointerdown', 100, 0, { pointerId: 2 })
+      pointer(element, 'pointermove', 200, 0, { pointerId: 2 })
+      pointer(element, 'pointerup', 200, 0, { pointerId: 2 })
+      pointer(element, 'pointerup', 0, 0, { pointerId: 1 })
+
+      const details = pinch.mock.calls.map(([event]) => event.detail)
+      expect(details).toEqual([
+        { scale: 2, clientX: 100, clientY: 0, moving: true, done: false },
+        { scale: 2, clientX: 100, clientY: 0, moving: false, done: true },
+      ])
+      expect(tap).not.toHaveBeenCalled()
+    })
+
+    it('passes every gesture to a single listener and unregisters', () => {
+      const handler = jest.fn()
+      const unregister = gestureEvent(element, handler)
+
+      pointer(element, 'pointerdown', 0, 0)
+      pointer(element, 'pointermove', 20, 0)
+      pointer(element, 'pointerup', 20, 0)
+      unregister()
+      pointer(element, 'pointerdown', 0, 0)
+      pointer(element, 'pointerup', 0, 0)
+
+      expect(handler.mock.calls.map(([event]) => event.type)).toEqual([
+        'pan',
+        'pan',
+      ])
+    })
+  })
+
   describe('createEventManager', () => {
     let element
     let manager
@@ -298,6 +864,248 @@ describe('@storepress/utils - Event Utilities', () => {
       })
     })
 
+    describe('multiple handlers', () => {
+      it('keeps every handler of an event type', () => {
+        const first = jest.fn()
+        const second = jest.fn()
+        manager.add(element, 'click', first)
+        manager.add(element, 'click', second)
+
+        element.click()
+
+        expect(first).toHaveBeenCalledTimes(1)
+        expect(second).toHaveBeenCalledTimes(1)
+        expect(manager.get(element)[0].$events.length).toBe(2)
+
+        manager.remove(element, 'click')
+        element.click()
+
+        expect(first).toHaveBeenCalledTimes(1)
+        expect(second).toHaveBeenCalledTimes(1)
+      })
+
+      it('binds the same handler once', () => {
+        const handler = jest.fn()
+        manager.add(element, 'click', handler)
+        manager.add(element, 'click', handler)
+
+        element.click()
+
+        expect(handler).toHaveBeenCalledTimes(1)
+        expect(manager.get(element)[0].$events.length).toBe(1)
+      })
+
+      it('removes a single handler by identity', () => {
+        const first = jest.fn()
+        const second = jest.fn()
+        manager.add(element, 'click', first)
+        manager.add(element, 'click', second)
+
+        manager.remove(element, 'click', first)
+        element.click()
+
+        expect(first).not.toHaveBeenCalled()
+        expect(second).toHaveBeenCalledTimes(1)
+        expect(manager.get(element)[0].$events.map((e) => e.handler)).toEqual([
+          second,
+        ])
+      })
+
+      it('removes bindings by label', () => {
+        const layout = jest.fn()
+        const other = jest.fn()
+        manager.add(element, 'click', () => layout(), { label: 'layout' })
+        manager.add(element, 'custom', () => layout(), { label: 'layout' })
+        manager.add(element, 'click', other)
+
+        manager.remove(element, null, { label: 'layout' })
+        element.click()
+        manager.trigger(element, 'custom')
+
+        expect(layout).not.toHaveBeenCalled()
+        expect(other).toHaveBeenCalledTimes(1)
+      })
+    })
+
+    describe('rate limiting', () => {
+      beforeEach(() => {
+        jest.useFakeTimers()
+      })
+
+      afterEach(() => {
+        jest.useRealTimers()
+      })
+
+      it('removes once bindings after the first call', () => {
+        const handler = jest.fn()
+        manager.add(element, 'click', handler, { once: true })
+
+        element.click()
+        element.click()
+
+        expect(handler).toHaveBeenCalledTimes(1)
+        expect(manager.get(element)[0].$events).toEqual([])
+      })
+
+      it('waits for a match before removing delegated once bindings', () => {
+        element.innerHTML = '<span></span><button></button>'
+        const handler = jest.fn()
+        manager.add(element, 'click', 'button', handler, { once: true })
+
+        element.querySelector('span').click()
+        element.querySelector('button').click()
+        element.querySelector('button').click()
+
+        expect(handler).toHaveBeenCalledTimes(1)
+      })
+
+      it('debounces calls with the latest event', () => {
+        const handler = jest.fn()
+        manager.add(element, 'ping', handler, { debounce: 100 })
+
+        manager.trigger(element, 'ping', { n: 1 })
+        jest.advanceTimersByTime(50)
+        manager.trigger(element, 'ping', { n: 2 })
+        jest.advanceTimersByTime(99)
+        expect(handler).not.toHaveBeenCalled()
+
+        jest.advanceTimersByTime(1)
+        expect(handler).toHaveBeenCalledTimes(1)
+        expect(handler.mock.calls[0][0].detail).toEqual({ n: 2 })
+        expect(handler.mock.contexts[0]).toBe(element)
+      })
+
+      it('throttles calls with a trailing call', () => {
+        const handler = jest.fn()
+        manager.add(element, 'click', handler, { throttle: 100 })
+
+        element.click()
+        element.click()
+        element.click()
+        expect(handler).toHaveBeenCalledTimes(1)
+
+        jest.advanceTimersByTime(100)
+        expect(handler).toHaveBeenCalledTimes(2)
+
+        element.click()
+        expect(handler).toHaveBeenCalledTimes(2)
+        jest.advanceTimersByTime(100)
+        expect(handler).toHaveBeenCalledTimes(3)
+      })
+
+      it('runs once per animation frame', () => {
+        const handler = jest.fn()
+        manager.add(element, 'click', handler, { raf: true })
+
+        element.click()
+        element.click()
+        expect(handler).not.toHaveBeenCalled()
+
+        jest.advanceTimersByTime(16)
+        expect(handler).toHaveBeenCalledTimes(1)
+      })
+
+      it('cancels pending calls when the binding is removed', () => {
+        const handler = jest.fn()
+        const frame = jest.fn()
+        manager.add(element, 'click', handler, { debounce: 100 })
+        manager.add(element, 'click', () => frame(), {
+          raf: true,
+          label: 'frame',
+        })
+
+        element.click()
+        manager.remove(element, 'click', handler)
+        manager.remove(element, 'click', { label: 'frame' })
+        jest.advanceTimersByTime(100)
+
+        expect(handler).not.toHaveBeenCalled()
+        expect(frame).not.toHaveBeenCalled()
+        expect(manager.get(element)[0].$events).toEqual([])
+      })
+    })
+
+    describe('sub-namespaces', () => {
+      it('matches event types exactly', () => {
+        const click = jest.fn()
+        const clickout = jest.fn()
+        manager.add(element, 'click', click)
+        manager.add(element, 'clickout', clickout)
+
+        manager.remove(element, 'click')
+        element.click()
+        manager.trigger(element, 'clickout')
+
+        expect(click).not.toHaveBeenCalled()
+        expect(clickout).toHaveBeenCalledTimes(1)
+      })
+
+      it('removes bindings in a sub-namespace', () => {
+        const thumbs = jest.fn()
+        const gallery = jest.fn()
+        const plain = jest.fn()
+        manager.add(element, 'click.gallery.thumbs', thumbs)
+        manager.add(element, 'mouseenter.gallery', gallery)
+        manager.add(element, 'click', plain)
+
+        manager.remove(element, 'click.thumbs')
+        element.click()
+        expect(thumbs).not.toHaveBeenCalled()
+        expect(plain).toHaveBeenCalledTimes(1)
+
+        manager.remove(element, '.gallery')
+        expect(manager.get(element)[0].$events.map((e) => e.handler)).toEqual([
+          plain,
+        ])
+      })
+
+      it('removes every sub-namespace of an event with a wildcard', () => {
+        const handler = jest.fn()
+        const plain = jest.fn()
+        manager.add(element, 'click.gallery', handler)
+        manager.add(element, 'click.cart', handler)
+        manager.add(element, 'click', plain)
+
+        manager.remove(element, 'click.*')
+        element.click()
+
+        expect(handler).not.toHaveBeenCalled()
+        expect(plain).toHaveBeenCalledTimes(1)
+      })
+
+      it('binds a shared handler once per sub-namespace', () => {
+        const handler = jest.fn()
+        manager.add(element, 'click.gallery', handler)
+        manager.add(element, 'click.cart', handler)
+
+        element.click()
+        expect(handler).toHaveBeenCalledTimes(2)
+
+        manager.remove(element, 'click.cart')
+        element.click()
+        expect(handler).toHaveBeenCalledTimes(3)
+      })
+
+      it('reports the namespace chain', () => {
+        manager.add(element, 'click.gallery.thumbs', jest.fn())
+
+        const [event] = manager.getAll()[0].$events
+
+        expect(event.eventType).toBe('storepress:test-namespace:click')
+        expect(event.namespaces).toEqual(['gallery', 'thumbs'])
+        expect(event.nativeType).toBe('click')
+      })
+
+      it('triggers the event type of a namespaced binding', () => {
+        const handler = jest.fn()
+        manager.add(element, 'slide.gallery', handler)
+
+        manager.trigger(element, 'slide.gallery', { index: 2 })
+
+        expect(handler.mock.calls[0][0].detail).toEqual({ index: 2 })
+      })
+    })
+
     describe('remove()', () => {
       it('removes event listener from element', () => {
         const handler = jest.fn()
@@ -438,6 +1246,69 @@ describe('@storepress/utils - Event Utilities', () => {
       })
     })
 
+    describe('waitFor()', () => {
+      it('resolves with the event and removes its binding', async () => {
+        const waiting = manager.waitFor(element, 'ready')
+        manager.trigger(element, 'ready', { id: 1 })
+
+        const event = await waiting
+
+        expect(event.detail).toEqual({ id: 1 })
+        expect(manager.get(element)[0].$events).toEqual([])
+      })
+
+      it('skips events rejected by the filter', async () => {
+        const waiting = manager.waitFor(element, 'step.wizard', {
+          filter: (e) => e.detail.step === 2,
+        })
+        manager.trigger(element, 'step', { step: 1 })
+        manager.trigger(element, 'step', { step: 2 })
+
+        await expect(waiting).resolves.toHaveProperty('detail.step', 2)
+      })
+
+      it('rejects on timeout', async () => {
+        jest.useFakeTimers()
+        const waiting = manager.waitFor(element, 'ready', { timeout: 100 })
+        jest.advanceTimersByTime(100)
+        jest.useRealTimers()
+
+        await expect(waiting).rejects.toThrow(
+          'Event: "ready" timed out after 100ms.',
+        )
+        expect(manager.get(element)[0].$events).toEqual([])
+      })
+
+      it('rejects when aborted', async () => {
+        const controller = new AbortController()
+        const waiting = manager.waitFor(element, 'ready', {
+          signal: controller.signal,
+        })
+        controller.abort()
+
+        await expect(waiting).rejects.toBeDefined()
+        expect(manager.get(element)[0].$events).toEqual([])
+        await expect(
+          manager.waitFor(element, 'ready', { signal: controller.signal }),
+        ).rejects.toBeDefined()
+      })
+
+      it('rejects when the binding is removed', async () => {
+        const waiting = manager.waitFor(element, 'ready')
+        manager.removeAll()
+
+        await expect(waiting).rejects.toThrow(
+          'Event: "ready" listener was removed.',
+        )
+      })
+
+      it('rejects when the target is missing', async () => {
+        await expect(manager.waitFor('#missing', 'ready')).rejects.toThrow(
+          'Event: "ready" target not found.',
+        )
+      })
+    })
+
     describe('custom prefix and separator', () => {
       it('handles custom prefix option', () => {
         const customManager = createEventManager('custom-ns', {
@@ -454,6 +1325,399 @@ describe('@storepress/utils - Event Utilities', () => {
         customManager.removeAll()
       })
     })
+
+    describe('context option', () => {
+      it('queries selectors in a shadow root', () => {
+        const host = document.createElement('div')
+        document.body.appendChild(host)
+        const shadowRoot = host.attachShadow({ mode: 'open' })
+        shadowRoot.innerHTML = '<button class="remove">x</button>'
+
+        const shadowManager = createEventManager('mini-cart', {
+          prefix: 'storepress',
+          separator: ':',
+          context: shadowRoot,
+        })
+        const handler = jest.fn()
+        shadowManager.add('.remove', 'click', handler)
+        shadowManager.add(shadowRoot, 'cart-update', handler)
+
+        shadowRoot.querySelector('.remove').click()
+        shadowManager.trigger(shadowRoot, 'cart-update')
+
+        expect(handler).toHaveBeenCalledTimes(2)
+        expect(shadowManager.get('.remove')[0].$events.length).toBe(1)
+
+        shadowManager.removeAll()
+      })
+
+      it('adds listeners to window and iterables of targets', () => {
+        const handler = jest.fn()
+        const targets = new Set([element, window])
+        manager.add(targets, 'resize', handler)
+
+        window.dispatchEvent(new Event('resize'))
+
+        expect(handler).toHaveBeenCalledTimes(1)
+        expect(manager.getAll().map(({ $element }) => $element)).toEqual([
+          element,
+          window,
+        ])
+      })
+    })
+
+    describe('delegation', () => {
+      beforeEach(() => {
+        document.body.innerHTML = `
+					<ul id="list">
+						<li class="item"><button class="add-to-cart"><span>Add</span></button></li>
+					</ul>
+				`
+        element = document.getElementById('list')
+      })
+
+      it('passes the matched element to the handler', () => {
+        const handler = jest.fn()
+        manager.add(element, 'click', '.add-to-cart', handler)
+
+        element.querySelector('span').click()
+        element.querySelector('.item').click()
+
+        const $button = element.querySelector('.add-to-cart')
+        expect(handler).toHaveBeenCalledTimes(1)
+        expect(handler.mock.calls[0][1]).toBe($button)
+      })
+
+      it('handles elements added after binding', () => {
+        const handler = jest.fn()
+        manager.add('#list', 'click', '.add-to-cart', handler, { once: false })
+
+        element.insertAdjacentHTML(
+          'beforeend',
+          '<li class="item"><button class="add-to-cart">Add</button></li>',
+        )
+        element.querySelectorAll('.add-to-cart')[1].click()
+
+        expect(handler).toHaveBeenCalledTimes(1)
+      })
+
+      it('ignores matches outside the root', () => {
+        document.body.classList.add('add-to-cart')
+        const handler = jest.fn()
+        manager.add(element, 'click', '.add-to-cart', handler)
+
+        element.querySelector('.item').click()
+
+        expect(handler).not.toHaveBeenCalled()
+        document.body.classList.remove('add-to-cart')
+      })
+
+      it('removes delegated bindings by selector', () => {
+        const direct = jest.fn()
+        const button = jest.fn()
+        const item = jest.fn()
+        manager.add(element, 'click', direct)
+        manager.add(element, 'click', '.add-to-cart', button)
+        manager.add(element, 'click', '.item', item)
+
+        manager.remove(element, 'click', '.add-to-cart')
+        element.querySelector('.add-to-cart').click()
+
+        expect(button).not.toHaveBeenCalled()
+        expect(item).toHaveBeenCalledTimes(1)
+        expect(direct).toHaveBeenCalledTimes(1)
+
+        manager.remove(element, 'click')
+        element.querySelector('.add-to-cart').click()
+
+        expect(item).toHaveBeenCalledTimes(1)
+        expect(direct).toHaveBeenCalledTimes(1)
+      })
+
+      it('reports delegated bindings in get() and getAll()', () => {
+        const handler = jest.fn()
+        manager.add(element, 'click', handler)
+        manager.add(element, 'click', 'li:first-child', handler)
+
+        const [{ $events }] = manager.get(element)
+
+        expect($events).toEqual([
+          {
+            eventType: 'storepress:test-namespace:click',
+            namespaces: [],
+            isNative: true,
+            nativeType: 'click',
+            selector: null,
+            handler,
+            label: null,
+          },
+          {
+            eventType: 'storepress:test-namespace:click',
+            namespaces: [],
+            isNative: true,
+            nativeType: 'click',
+            selector: 'li:first-child',
+            handler,
+            label: null,
+          },
+        ])
+        expect(manager.getAll()[0].$events).toEqual($events)
+      })
+    })
+  })
+
+  describe('createEventBus', () => {
+    let bus
+
+    beforeEach(() => {
+      bus = createEventBus('test-bus')
+    })
+
+    afterEach(() => {
+      bus.clear()
+    })
+
+    it('delivers messages to subscribers of other bus instances', () => {
+      const handler = jest.fn()
+      createEventBus('test-bus').subscribe('cart:updated', handler)
+
+      bus.publish('cart:updated', { count: 3 })
+
+      expect(handler).toHaveBeenCalledWith({ count: 3 }, 'cart:updated')
+    })
+
+    it('matches wildcard topics', () => {
+      const cart = jest.fn()
+      const all = jest.fn()
+      bus.subscribe('cart:*', cart)
+      bus.subscribe('*', all)
+
+      bus.publish('cart:updated')
+      bus.publish('cart:item:added')
+      bus.publish('gallery:opened')
+
+      expect(cart.mock.calls.map(([, topic]) => topic)).toEqual([
+        'cart:updated',
+        'cart:item:added',
+      ])
+      expect(all).toHaveBeenCalledTimes(3)
+    })
+
+    it('replays the last message of matching topics', () => {
+      bus.publish('cart:updated', { count: 1 })
+      bus.publish('cart:updated', { count: 2 })
+      bus.publish('gallery:opened', { index: 0 })
+
+      const handler = jest.fn()
+      bus.subscribe('cart:*', handler, { replay: true })
+
+      expect(handler.mock.calls).toEqual([[{ count: 2 }, 'cart:updated']])
+    })
+
+    it('unsubscribes', () => {
+      const handler = jest.fn()
+      const controller = new AbortController()
+      const unsubscribe = bus.subscribe('cart:updated', handler)
+      bus.subscribe('cart:updated', handler, { signal: controller.signal })
+
+      unsubscribe()
+      controller.abort()
+      bus.publish('cart:updated')
+
+      expect(handler).not.toHaveBeenCalled()
+    })
+
+    it('delivers once with subscribeOnce', () => {
+      const handler = jest.fn()
+      bus.subscribeOnce('cart:*', handler)
+
+      bus.publish('cart:updated')
+      bus.publish('cart:emptied')
+
+      expect(handler).toHaveBeenCalledTimes(1)
+    })
+
+    it('keeps delivering when a subscriber throws', () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {})
+      const handler = jest.fn()
+      bus.subscribe('cart:updated', () => {
+        throw new Error('Broken')
+      })
+      bus.subscribe('cart:updated', handler)
+
+      bus.publish('cart:updated')
+
+      expect(handler).toHaveBeenCalled()
+      expect(error).toHaveBeenCalledWith(
+        'Event bus: "test-bus" subscriber of "cart:updated" failed.',
+        expect.any(Error),
+      )
+      error.mockRestore()
+    })
+
+    it('bridges messages to document events', () => {
+      const handler = jest.fn()
+      document.addEventListener('cart:updated', handler)
+      createEventBus('test-bus', { bridge: true }).publish('cart:updated', {
+        count: 3,
+      })
+      bus.publish('cart:updated', { count: 4 })
+      document.removeEventListener('cart:updated', handler)
+
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(handler.mock.calls[0][0].detail).toEqual({ count: 3 })
+    })
+
+    it('keeps buses of separate registries apart', () => {
+      const handler = jest.fn()
+      const registry = createRegistry()
+      createEventBus('test-bus', { registry }).subscribe('*', handler)
+
+      bus.publish('cart:updated')
+
+      expect(handler).not.toHaveBeenCalled()
+      expect(registry.$Events.EventBus.has('test-bus')).toBe(true)
+    })
+  })
+
+  describe('createJQueryBridge', () => {
+    // Minimal jQuery: handlers bound with on() and triggered with extra
+    // arguments, bubbling up from the element like jQuery does.
+    const createJQueryStub = () => {
+      let handlers = []
+      return (element) => ({
+        on(types, handler) {
+          types.split(' ').forEach((type) => {
+            handlers.push({ element, type, handler })
+          })
+          return this
+        },
+        off(types, handler) {
+          const names = types.split(' ')
+          handlers = handlers.filter(
+            (item) =>
+              item.element !== element ||
+              item.handler !== handler ||
+              !names.includes(item.type),
+          )
+          return this
+        },
+        trigger(type, args = []) {
+          const event = { type, target: element }
+          for (let node = element; node; node = node.parentNode) {
+            handlers
+              .filter((item) => item.element === node && item.type === type)
+              .forEach(({ handler }) => handler(event, ...args))
+          }
+          return this
+        },
+      })
+    }
+
+    let jQuery
+    let events
+    let bridge
+
+    beforeEach(() => {
+      document.body.innerHTML = '<button class="add">Add</button>'
+      jQuery = createJQueryStub()
+      events = createEventManager('woocommerce')
+      bridge = createJQueryBridge({ jQuery })
+    })
+
+    afterEach(() => {
+      bridge.disconnect()
+      events.removeAll()
+    })
+
+    it('dispatches jQuery events to the event manager', () => {
+      const handler = jest.fn()
+      events.add(document.body, 'added_to_cart', handler)
+      const $button = [document.querySelector('.add')]
+      const fragments = { '.mini-cart': '<div></div>' }
+
+      jQuery(document.body).trigger('added_to_cart', [
+        fragments,
+        'hash',
+        $button,
+      ])
+
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(handler.mock.calls[0][0].detail).toEqual({
+        fragments,
+        cartHash: 'hash',
+        button: $button[0],
+        args: [fragments, 'hash', $button],
+      })
+    })
+
+    it('triggers jQuery events without event manager listeners', () => {
+      const handler = jest.fn()
+      jQuery(document).on('updated_cart_totals found_variation', handler)
+
+      bridge.trigger(document.body, 'updated_cart_totals')
+      bridge.trigger(document.body, 'found_variation', {
+        args: [{ variation_id: 12 }],
+      })
+
+      expect(handler).toHaveBeenCalledTimes(2)
+      expect(handler.mock.calls[0]).toEqual([
+        { type: 'updated_cart_totals', target: document.body },
+      ])
+      expect(handler.mock.calls[1][1]).toEqual({ variation_id: 12 })
+    })
+
+    it('relays event manager events to jQuery', () => {
+      const handler = jest.fn()
+      const relayed = jest.fn()
+      jQuery(document).on('found_variation', handler)
+      events.add(document.body, 'found_variation', relayed)
+
+      events.trigger(document.body, 'found_variation', {
+        args: [{ variation_id: 12 }],
+      })
+
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(handler.mock.calls[0][1]).toEqual({ variation_id: 12 })
+      expect(relayed).toHaveBeenCalledTimes(1)
+    })
+
+    it('bridges custom events and argument mappers', () => {
+      bridge.disconnect()
+      bridge = createJQueryBridge({
+        jQuery,
+        namespace: 'shop',
+        events: { quick_view_opened: (productId) => ({ productId }) },
+      })
+      const shop = createEventManager('shop')
+      const handler = jest.fn()
+      shop.add(document, 'quick_view_opened', handler)
+
+      jQuery(document.querySelector('.add')).trigger('quick_view_opened', [5])
+
+      expect(handler.mock.calls[0][0].detail.productId).toBe(5)
+      shop.removeAll()
+    })
+
+    it('stops bridging when disconnected', () => {
+      const handler = jest.fn()
+      const jQueryHandler = jest.fn()
+      events.add(document.body, 'updated_wc_div', handler)
+      jQuery(document).on('updated_wc_div', jQueryHandler)
+
+      bridge.disconnect()
+      jQuery(document.body).trigger('updated_wc_div')
+      events.trigger(document.body, 'updated_wc_div')
+
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(jQueryHandler).toHaveBeenCalledTimes(1)
+    })
+
+    it('does nothing without jQuery', () => {
+      const bridgeWithout = createJQueryBridge({ jQuery: null })
+      expect(bridgeWithout.trigger(document.body, 'updated_wc_div')).toBeUndefined()
+      expect(bridgeWithout.disconnect()).toBeUndefined()
+    })
   })
 
   describe( 'getEventStore', () => {
@@ -4,7 +4,16 @@
  * @package @storepress/utils
  */
 import {
-  deepMerge, findObjectValue,
+  deepMerge,
+  createMerger,
+  findObjectValue,
+  hasObjectValue,
+  setObjectValue,
+  deleteObjectValue,
+  updateObjectValue,
+  isDeepEqual,
+  diffObjects,
+  applyPatch,
 } from '../src'
 
 describe('@storepress/utils - Object Utilities', () => {
@@ -131,6 +140,130 @@ describe('@storepress/utils - Object Utilities', () => {
     })
   })
 
+  describe('deepMerge values', () => {
+    it('copies nested objects and arrays from the sources', () => {
+      const defaults = { slider: { speed: 300 }, items: [{ id: 1 }] }
+      const result = deepMerge({}, defaults)
+
+      result.slider.speed = 500
+      result.items[0].id = 2
+
+      expect(defaults.slider.speed).toBe(300)
+      expect(defaults.items[0].id).toBe(1)
+    })
+
+    it('copies Map, Set, Date and RegExp values', () => {
+      const source = {
+        map: new Map([['a', { value: 1 }]]),
+        set: new Set([1, 2]),
+        date: new Date(2024, 0, 1),
+        pattern: /sku-\d+/gi,
+      }
+      const result = deepMerge({ date: { year: 2020 } }, source)
+
+      expect(result.map).not.toBe(source.map)
+      expect(result.map.get('a')).toEqual({ value: 1 })
+      expect(result.map.get('a')).not.toBe(source.map.get('a'))
+      expect(result.set).toEqual(new Set([1, 2]))
+      expect(result.date).toBeInstanceOf(Date)
+      expect(result.date.getTime()).toBe(source.date.getTime())
+      expect(result.pattern).not.toBe(source.pattern)
+      expect(result.pattern.flags).toBe('gi')
+    })
+
+    it('keeps class instances by reference', () => {
+      class Slider {}
+      const slider = new Slider()
+      const result = deepMerge({ slider: { speed: 300 } }, { slider })
+
+      expect(result.slider).toBe(slider)
+    })
+
+    it('skips prototype polluting keys', () => {
+      const source = JSON.parse(
+        '{"__proto__": {"polluted": true}, "constructor": {"prototype": {"polluted": true}}, "a": 1}',
+      )
+      const result = deepMerge({}, source)
+
+      expect(result).toEqual({ a: 1 })
+      expect({}.polluted).toBeUndefined()
+      expect(result.polluted).toBeUndefined()
+    })
+
+    it('throws on circular references', () => {
+      const source = { a: {} }
+      source.a.self = source
+
+      expect(() => deepMerge({}, source)).toThrow(
+        'Merge: circular reference at "a.self".',
+      )
+    })
+  })
+
+  describe('createMerger', () => {
+    const target = { tags: ['a', 'b'] }
+    const source = { tags: ['b', 'c'] }
+
+    it('replaces arrays by default', () => {
+      expect(createMerger()(target, source).tags).toEqual(['b', 'c'])
+    })
+
+    it('concatenates arrays', () => {
+      const merge = createMerger({ arrays: 'concat' })
+      expect(merge(target, source).tags).toEqual(['a', 'b', 'b', 'c'])
+    })
+
+    it('unites arrays without duplicates', () => {
+      const merge = createMerger({ arrays: 'union' })
+      expect(merge(target, source).tags).toEqual(['a', 'b', 'c'])
+    })
+
+    it('merges array items by key', () => {
+      const merge = createMerger({ arrays: 'byKey', arrayKey: 'sku' })
+      const result = merge(
+        { items: [{ sku: 'A', label: 'A' }, { sku: 'B', label: 'B' }] },
+        { items: [{ sku: 'B', hidden: true }, { sku: 'C' }, 'extra'] },
+      )
+
+      expect(result.items).toEqual([
+        { sku: 'A', label: 'A' },
+        { sku: 'B', label: 'B', hidden: true },
+        { sku: 'C' },
+        'extra',
+      ])
+    })
+
+    it('shares values when clone is disabled', () => {
+      const nested = { speed: 300 }
+      const result = createMerger({ clone: false })({ slider: nested })
+
+      expect(result.slider).toBe(nested)
+    })
+
+    it('uses customizer results unless undefined', () => {
+      const customizer = jest.fn((targetValue, sourceValue, key) =>
+        key === 'total' ? (targetValue ?? 0) + sourceValue : undefined,
+      )
+      const merge = createMerger({ customizer })
+      const result = merge(
+        { cart: { total: 10, currency: 'USD' } },
+        { cart: { total: 5 } },
+      )
+
+      expect(result.cart).toEqual({ total: 15, currency: 'USD' })
+      expect(customizer).toHaveBeenCalledWith(10, 5, 'total', [
+        'cart',
+        'total',
+      ])
+    })
+
+    it('ignores sources that are not objects', () => {
+      expect(createMerger()({ a: 1 }, null, undefined, 'b')).toEqual({
+        a: 1,
+      })
+    })
+  })
+
   describe('findObjectValue', () => {
     const testObj = {
       user: {
@@ -238,4 +371,403 @@ describe('@storepress/utils - Object Utilities', () => {
       expect(findObjectValue(objWithFalsy, 'falseVal')).toBe(false)
     })
   })
-})
\ No newline at end of file
+
+  describe('findObjectValue path syntax', () => {
+    const product = {
+      meta: { sale_price: '9.99', 'size.label': 'Large' },
+      images: [{ src: 'a.jpg' }, { src: 'b.jpg' }, { src: 'c.jpg' }],
+      variations: [
+        { sku: 'SKU-1', price: { amount: 10 } },
+        { sku: 'SKU-2', price: { amount: 12 } },
+      ],
+      price: { amount: 11 },
+    }
+
+    it('reads quoted keys as one segment', () => {
+      expect(findObjectValue(product, 'meta["sale_price"]')).toBe('9.99')
+      expect(findObjectValue(product, "meta['size.label']")).toBe('Large')
+      expect(findObjectValue({ 'a"b': 1 }, '["a\\"b"]')).toBe(1)
+    })
+
+    it('reads numeric and negative indexes', () => {
+      expect(findObjectValue(product, 'images[1].src')).toBe('b.jpg')
+      expect(findObjectValue(product, 'images[-1].src')).toBe('c.jpg')
+      expect(findObjectValue(product, ['images', -2, 'src'])).toBe('b.jpg')
+      expect(findObjectValue(product, 'images[-4].src', 'none')).toBe(
+        'none',
+      )
+    })
+
+    it('returns arrays for wildcards', () => {
+      expect(findObjectValue(product, 'variations.*.sku')).toEqual([
+        'SKU-1',
+        'SKU-2',
+      ])
+      expect(findObjectValue(product, 'images[*].src')).toEqual([
+        'a.jpg',
+        'b.jpg',
+        'c.jpg',
+      ])
+      expect(findObjectValue(product, 'variations.*.missing')).toEqual([])
+    })
+
+    it('matches keys at any depth with recursive descent', () => {
+      expect(findObjectValue(product, '..amount')).toEqual([10, 12, 11])
+      expect(findObjectValue(product, 'variations..sku')).toEqual([
+        'SKU-1',
+        'SKU-2',
+      ])
+    })
+
+    it('skips circular references in recursive descent', () => {
+      const node = { id: 1 }
+      node.self = node
+      node.child = { id: 2, parent: node }
+
+      expect(findObjectValue(node, '..id')).toEqual([1, 2])
+    })
+
+    it('keeps the default separators outside of brackets', () => {
+      expect(findObjectValue(product, 'meta-sale_price')).toBeUndefined()
+      expect(findObjectValue(product, 'images_0-src')).toBe('a.jpg')
+    })
+
+    it('is only supported for reading', () => {
+      expect(() => setObjectValue(product, 'variations.*.sku', '')).toThrow(
+        'wildcards and ".." are only supported by findObjectValue.',
+      )
+      expect(() => hasObjectValue(product, '..sku')).toThrow()
+    })
+
+    it('writes with quoted keys and negative indexes', () => {
+      const obj = { meta: {}, items: ['a', 'b'] }
+      setObjectValue(obj, 'meta["sale_price"]', '5')
+      setObjectValue(obj, 'items[-1]', 'c')
+
+      expect(obj).toEqual({ meta: { sale_price: '5' }, items: ['a', 'c'] })
+      expect(hasObjectValue(obj, 'items[-2]')).toBe(true)
+      expect(deleteObjectValue(obj, 'items[-1]').items).toEqual(['a'])
+    })
+  })
+
+  describe('hasObjectValue', () => {
+    const testObj = {
+      slider: { speed: 0, loop: undefined, items: ['a'] },
+    }
+
+    it('checks own values on string and array paths', () => {
+      expect(hasObjectValue(testObj, 'slider.speed')).toBe(true)
+      expect(hasObjectValue(testObj, 'slider-loop')).toBe(true)
+      expect(hasObjectValue(testObj, 'slider.items[0]')).toBe(true)
+      expect(hasObjectValue(testObj, ['slider', 'items', 0])).toBe(true)
+      expect(hasObjectValue(testObj, 'slider.items[1]')).toBe(false)
+      expect(hasObjectValue(testObj, 'slider.speed.value')).toBe(false)
+      expect(hasObjectValue(testObj, '')).toBe(false)
+    })
+
+    it('ignores inherited properties', () => {
+      expect(hasObjectValue({}, 'constructor')).toBe(false)
+      expect(hasObjectValue({}, 'toString')).toBe(false)
+    })
+
+    it('uses custom notation separators', () => {
+      expect(
+        hasObjectValue(testObj, 'slider:speed', { notation: ':' }),
+      ).toBe(true)
+    })
+  })
+
+  describe('setObjectValue', () => {
+    it('changes and returns the object', () => {
+      const obj = { slider: { speed: 300 } }
+      const result = setObjectValue(obj, 'slider.speed', 500)
+
+      expect(result).toBe(obj)
+      expect(obj.slider.speed).toBe(500)
+    })
+
+    it('creates missing objects and arrays', () => {
+      const obj = {}
+      setObjectValue(obj, 'slider.animation.easing', 'ease')
+      setObjectValue(obj, 'items[0].label', 'First')
+      setObjectValue(obj, ['count', 'value'], 1)
+
+      expect(obj).toEqual({
+        slider: { animation: { easing: 'ease' } },
+        items: [{ label: 'First' }],
+        count: { value: 1 },
+      })
+    })
+
+    it('replaces primitives on the path', () => {
+      const obj = { slider: true }
+      setObjectValue(obj, 'slider.speed', 300)
+
+      expect(obj).toEqual({ slider: { speed: 300 } })
+    })
+
+    it('shares untouched branches in immutable mode', () => {
+      const obj = {
+        slider: { speed: 300, animation: { easing: 'ease' } },
+        items: [1, 2],
+      }
+      const result = setObjectValue(obj, 'slider.speed', 500, {
+        immutable: true,
+      })
+
+      expect(obj.slider.speed).toBe(300)
+      expect(result.slider.speed).toBe(500)
+      expect(result).not.toBe(obj)
+      expect(result.slider).not.toBe(obj.slider)
+      expect(result.slider.animation).toBe(obj.slider.animation)
+      expect(result.items).toBe(obj.items)
+    })
+
+    it('copies arrays in immutable mode', () => {
+      const obj = { items: ['a', 'b'] }
+      const result = setObjectValue(obj, 'items[1]', 'c', {
+        immutable: true,
+      })
+
+      expect(Array.isArray(result.items)).toBe(true)
+      expect(result.items).toEqual(['a', 'c'])
+      expect(obj.items).toEqual(['a', 'b'])
+    })
+
+    it('rejects prototype polluting keys', () => {
+      expect(() =>
+        setObjectValue({}, ['__proto__', 'polluted'], true),
+      ).toThrow('Object path: "__proto__" key is not allowed.')
+      expect(() =>
+        setObjectValue({}, 'constructor.prototype.polluted', true),
+      ).toThrow('Object path: "constructor" key is not allowed.')
+      expect(() =>
+        setObjectValue({}, '__proto__.polluted', true, {
+          notation: '.',
+        }),
+      ).toThrow()
+      expect({}.polluted).toBeUndefined()
+    })
+
+    it('returns the object for empty paths', () => {
+      const obj = { a: 1 }
+      expect(setObjectValue(obj, '', 2)).toBe(obj)
+      expect(setObjectValue(obj, [], 2)).toBe(obj)
+    })
+  })
+
+  describe('deleteObjectValue', () => {
+    it('deletes object keys', () => {
+      const obj = { slider: { speed: 300, loop: true } }
+      const result = deleteObjectValue(obj, 'slider.loop')
+
+      expect(result).toBe(obj)
+      expect(obj).toEqual({ slider: { speed: 300 } })
+    })
+
+    it('splices array items', () => {
+      const obj = { items: ['a', 'b', 'c'] }
+      deleteObjectValue(obj, 'items[1]')
+
+      expect(obj.items).toEqual(['a', 'c'])
+    })
+
+    it('shares untouched branches in immutable mode', () => {
+      const obj = { slider: { speed: 300, loop: true }, items: ['a'] }
+      const result = deleteObjectValue(obj, 'slider.loop', {
+        immutable: true,
+      })
+
+      expect(obj.slider.loop).toBe(true)
+      expect(result).toEqual({ slider: { speed: 300 }, items: ['a'] })
+      expect(result.items).toBe(obj.items)
+    })
+
+    it('returns the object for missing paths', () => {
+      const obj = { slider: {} }
+
+      expect(deleteObjectValue(obj, 'slider.speed')).toBe(obj)
+      expect(
+        deleteObjectValue(obj, 'slider.speed', { immutable: true }),
+      ).toBe(obj)
+    })
+
+    it('rejects prototype polluting keys', () => {
+      expect(() =>
+        deleteObjectValue({}, ['__proto__', 'toString']),
+      ).toThrow('Object path: "__proto__" key is not allowed.')
+      expect(typeof {}.toString).toBe('function')
+    })
+  })
+
+  describe('updateObjectValue', () => {
+    it('passes the current value to the updater', () => {
+      const cart = { items: [{ quantity: 1 }] }
+      updateObjectValue(cart, 'items[0].quantity', (quantity) => quantity + 1)
+
+      expect(cart.items[0].quantity).toBe(2)
+    })
+
+    it('passes undefined for missing values', () => {
+      const updater = jest.fn((count = 0) => count + 1)
+      const result = updateObjectValue({}, 'cart.count', updater)
+
+      expect(updater).toHaveBeenCalledWith(undefined)
+      expect(result).toEqual({ cart: { count: 1 } })
+    })
+
+    it('supports immutable mode', () => {
+      const obj = { cart: { count: 1 } }
+      const result = updateObjectValue(obj, 'cart.count', (count) => count * 2, {
+        immutable: true,
+      })
+
+      expect(obj.cart.count).toBe(1)
+      expect(result.cart.count).toBe(2)
+    })
+
+    it('rejects prototype polluting keys', () => {
+      expect(() =>
+        updateObjectValue({}, ['constructor', 'prototype'], () => ({})),
+      ).toThrow('Object path: "constructor" key is not allowed.')
+    })
+  })
+
+  describe('isDeepEqual', () => {
+    it('compares primitives and plain objects', () => {
+      expect(isDeepEqual(1, 1)).toBe(true)
+      expect(isDeepEqual(NaN, NaN)).toBe(true)
+      expect(isDeepEqual('1', 1)).toBe(false)
+      expect(isDeepEqual({ a: { b: 1 } }, { a: { b: 1 } })).toBe(true)
+      expect(isDeepEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false)
+      expect(isDeepEqual({ a: 1 }, null)).toBe(false)
+    })
+
+    it('compares arrays by order', () => {
+      expect(isDeepEqual([1, [2]], [1, [2]])).toBe(true)
+      expect(isDeepEqual([1, 2], [2, 1])).toBe(false)
+      expect(isDeepEqual([], {})).toBe(false)
+    })
+
+    it('compares RegExp, Date, Map and Set values', () => {
+      expect(isDeepEqual(/sku/gi, /sku/gi)).toBe(true)
+      expect(isDeepEqual(/sku/g, /sku/i)).toBe(false)
+      expect(isDeepEqual(new Date(1), new Date(1))).toBe(true)
+      expect(isDeepEqual(new Date(1), new Date(2))).toBe(false)
+      expect(
+        isDeepEqual(new Map([['a', { b: 1 }]]), new Map([['a', { b: 1 }]])),
+      ).toBe(true)
+      expect(isDeepEqual(new Set([1, 2]), new Set([2, 1]))).toBe(true)
+      expect(isDeepEqual(new Set([1]), new Set([2]))).toBe(false)
+    })
+
+    it('compares class instances by reference', () => {
+      class Slider {}
+      const slider = new Slider()
+
+      expect(isDeepEqual(slider, slider)).toBe(true)
+      expect(isDeepEqual(new Slider(), new Slider())).toBe(false)
+    })
+
+    it('supports circular references', () => {
+      const a = { id: 1 }
+      a.self = a
+      const b = { id: 1 }
+      b.self = b
+
+      expect(isDeepEqual(a, b)).toBe(true)
+    })
+  })
+
+  describe('diffObjects', () => {
+    it('lists added, removed and changed keys', () => {
+      expect(
+        diffObjects(
+          { speed: 300, arrows: true, nested: { a: 1 } },
+          { speed: 500, dots: true, nested: { a: 1 } },
+        ),
+      ).toEqual([
+        { type: 'change', path: 'speed', value: 500, oldValue: 300 },
+        { type: 'remove', path: 'arrows', value: undefined, oldValue: true },
+        { type: 'add', path: 'dots', value: true, oldValue: undefined },
+      ])
+    })
+
+    it('compares nested objects key by key and arrays as a whole', () => {
+      expect(
+        diffObjects(
+          { slider: { speed: 300, sizes: [1, 2], pattern: /a/ } },
+          { slider: { speed: 300, sizes: [1, 3], pattern: /a/ } },
+        ),
+      ).toEqual([
+        {
+          type: 'change',
+          path: 'slider.sizes',
+          value: [1, 3],
+          oldValue: [1, 2],
+        },
+      ])
+    })
+
+    it('returns paths that findObjectValue reads', () => {
+      const current = { meta: { sale_price: '5', 'a"b': 1 } }
+      const changes = diffObjects({ meta: {} }, current)
+
+      expect(changes.map(({ path }) => path)).toEqual([
+        'meta["sale_price"]',
+        'meta["a\\"b"]',
+      ])
+      changes.forEach(({ path, value }) => {
+        expect(findObjectValue(current, path)).toBe(value)
+      })
+    })
+
+    it('returns no changes for equal objects', () => {
+      expect(diffObjects({ a: [1], b: /b/ }, { a: [1], b: /b/ })).toEqual([])
+      expect(diffObjects()).toEqual([])
+    })
+  })
+
+  describe('applyPatch', () => {
+    const previous = {
+      speed: 300,
+      arrows: true,
+      meta: { sale_price: '5' },
+      sizes: [1, 2],
+    }
+    const current = {
+      speed: 500,
+      meta: { sale_price: '4', 'regular-price': '6' },
+      sizes: [1, 3],
+      dots: true,
+    }
+
+    it('turns the previous object into the current one', () => {
+      const result = applyPatch(previous, diffObjects(previous, current))
+
+      expect(isDeepEqual(result, current)).toBe(true)
+      expect(previous.speed).toBe(300)
+      expect(previous.meta.sale_price).toBe('5')
+    })
+
+    it('changes the object when not immutable', () => {
+      const obj = { speed: 300 }
+      const result = applyPatch(
+        obj,
+        [{ type: 'change', path: 'speed', value: 500 }],
+        { immutable: false },
+      )
+
+      expect(result).toBe(obj)
+      expect(obj.speed).toBe(500)
+    })
+
+    it('rejects prototype polluting paths', () => {
+      expect(() =>
+        applyPatch({}, [
+          { type: 'add', path: '__proto__.polluted', value: true },
+        ]),
+      ).toThrow('Object path: "__proto__" key is not allowed.')
+    })
+  })
+})
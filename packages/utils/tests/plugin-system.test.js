@@ -3,13 +3,21 @@
  */
 
 import {
+  createRegistry,
+  getDefaultRegistry,
   getPluginInstanceStore,
   getEventStore,
   createPluginInstance,
   getPluginInstance,
+  getPluginLifecycle,
   createPlugin,
+  getStorePressPlugin,
   createStorePressPlugin,
 } from '../src'
+import { version } from '../package.json'
+
+// Waits for pending promise callbacks and timers.
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0))
 
 describe('@storepress/utils - Plugin System', () => {
   beforeEach(() => {
@@ -17,6 +25,106 @@ describe('@storepress/utils - Plugin System', () => {
     document.body.innerHTML = ''
   })
 
+  describe('createRegistry', () => {
+    it('keeps stores out of the global registry', () => {
+      const registry = createRegistry()
+
+      const store = getPluginInstanceStore('isolated', registry)
+      const events = getEventStore('isolated', registry)
+
+      expect(registry.$Plugins.Isolated.Instance).toBe(store)
+      expect(registry.$Events.Isolated).toBe(events)
+      expect(getPluginInstanceStore('isolated')).not.toBe(store)
+      expect(window.StorePress.$Plugins.Isolated.Instance).not.toBe(store)
+    })
+
+    it('registers plugins and instances in the given registry', () => {
+      document.body.innerHTML = '<div class="scoped"></div>'
+      const registry = createRegistry()
+      const afterInit = jest.fn()
+      getPluginLifecycle('scoped', registry).add(document, 'afterInit', afterInit)
+
+      const plugin = createStorePressPlugin({
+        selector: '.scoped',
+        plugin: function () {
+          return {}
+        },
+        namespace: 'scoped',
+        registry,
+      })
+
+      plugin.setup()
+      plugin.init()
+
+      expect(getStorePressPlugin('scoped', registry)).toBe(plugin)
+      expect(plugin.get().length).toBe(1)
+      expect(getPluginInstance('.scoped', 'scoped', registry).length).toBe(1)
+      expect(afterInit).toHaveBeenCalledTimes(1)
+      expect(window.StorePress?.$Plugins?.Scoped).toBeUndefined()
+      expect(getPluginInstance('.scoped', 'scoped')).toEqual([])
+
+      plugin.clear()
+    })
+
+    it('keeps the registry keys of existing namespaces', () => {
+      getPluginInstanceStore('myHTMLSlider')
+      getPluginInstanceStore('quick-view')
+      getEventStore('my-HTML-slider')
+
+      expect(Object.keys(window.StorePress.$Plugins)).toEqual([
+        'MyHTMLSlider',
+        'QuickView',
+      ])
+      expect(Object.keys(window.StorePress.$Events)).toEqual(['MyHTMLSlider'])
+    })
+
+    it('keeps the event names of existing namespaces', () => {
+      document.body.innerHTML = '<div class="html-slider"></div>'
+      const lifecycle = jest.fn()
+      getPluginLifecycle('myHTMLSlider').add(document, 'afterInit', lifecycle)
+      const controller = createPlugin({
+        selector: '.html-slider',
+        plugin: function () {},
+        namespace: 'myHTMLSlider',
+      })
+      controller.setup()
+
+      document.dispatchEvent(
+        new CustomEvent('storepress:my_htmlslider:init', {
+          detail: { element: '.html-slider' },
+        }),
+      )
+
+      expect(controller.get().length).toBe(1)
+      expect(lifecycle.mock.calls[0][0].type).toBe(
+        'storepress:my_htmlslider_lifecycle:afterInit',
+      )
+
+      controller.clear()
+      getPluginLifecycle('myHTMLSlider').removeAll()
+    })
+
+    it('records the version in the default registry', () => {
+      const registry = getDefaultRegistry()
+
+      expect(window.StorePress).toBe(registry)
+      expect(registry.$Version).toBe(version)
+      expect(createRegistry().$Version).toBe(version)
+    })
+
+    it('logs a version mismatch once', () => {
+      window.StorePress = { $Version: '0.1.0' }
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+      getPluginInstanceStore('old-copy')
+      getEventStore('old-copy')
+
+      expect(warn).toHaveBeenCalledTimes(1)
+      expect(warn.mock.calls[0][0]).toContain('shares the registry with version 0.1.0')
+      warn.mockRestore()
+    })
+  })
+
   describe('getPluginInstanceStore', () => {
     it('creates and returns a WeakMap', () => {
       const store = getPluginInstanceStore('test-plugin')
@@ -208,6 +316,774 @@ describe('@storepress/utils - Plugin System', () => {
 
       controller.clear()
     })
+
+    it('validates element options against a schema', () => {
+      document.body.innerHTML = `
+				<div class="schema-widget" data-widget--sku="0012"></div>
+				<div class="schema-widget" data-widget--speed="fast"></div>
+			`
+
+      class SchemaPlugin {
+        constructor (element, options) {
+          this.element = element
+          this.options = options
+        }
+      }
+
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      const controller = createPlugin({
+        selector: '.schema-widget',
+        options: { speed: 300 },
+        plugin: SchemaPlugin,
+        namespace: 'schema-test',
+        attribute: 'widget',
+        schema: { sku: 'string', speed: 'number' },
+      })
+
+      controller.setup()
+      controller.init()
+
+      const instances = controller.get()
+      expect(instances.length).toBe(1)
+      expect(instances[0].options).toEqual({ sku: '0012', speed: 300 })
+      expect(warn).toHaveBeenCalledWith(
+        'SchemaTest: Option "speed" expects a number, received "fast".',
+        document.querySelectorAll('.schema-widget')[1],
+      )
+
+      warn.mockRestore()
+      controller.clear()
+    })
+
+    it('warns about unknown and invalid script options', () => {
+      document.body.innerHTML = `
+				<div class="lenient-widget"></div>
+				<div class="lenient-widget" data-widget--sku=""></div>
+			`
+
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      const controller = createPlugin({
+        selector: '.lenient-widget',
+        options: { speed: 'fast', autoplay: true },
+        plugin: function (element, options) {
+          return { options }
+        },
+        namespace: 'lenient-test',
+        attribute: 'widget',
+        schema: {
+          sku: { type: 'string', required: true, min: 1 },
+          speed: { type: 'number', default: 300 },
+        },
+      })
+
+      controller.setup()
+      controller.init()
+
+      const [first, second] = document.querySelectorAll('.lenient-widget')
+      const instances = controller.get()
+      expect(instances.length).toBe(0)
+      expect(warn).toHaveBeenCalledWith('LenientTest: Option "sku" is required.', first)
+      expect(warn).toHaveBeenCalledWith(
+        'LenientTest: Option "sku" must be at least 1 in length, received "".',
+        second,
+      )
+
+      first.setAttribute('data-widget--sku', 'A1')
+      controller.init()
+
+      const [instance] = controller.get()
+      expect(instance.element).toBe(first)
+      expect(instance.options).toEqual({ sku: 'A1', speed: 300 })
+      expect(warn).toHaveBeenCalledWith(
+        'LenientTest: Option "speed" expects a number, received "fast".',
+        first,
+      )
+      expect(warn).toHaveBeenCalledWith('LenientTest: Unknown option "autoplay".', first)
+
+      warn.mockRestore()
+      controller.clear()
+    })
+  })
+
+  describe('createPlugin context', () => {
+    it('initializes elements inside a shadow root', async () => {
+      document.body.innerHTML = '<mini-cart></mini-cart><div class="cart-item"></div>'
+      const shadowRoot = document.querySelector('mini-cart').attachShadow({ mode: 'open' })
+      shadowRoot.innerHTML = '<div class="cart-item"></div>'
+
+      const controller = createPlugin({
+        selector: '.cart-item',
+        plugin: function (element) {
+          return { element }
+        },
+        namespace: 'shadow-cart',
+        context: shadowRoot,
+        autoInit: true,
+      })
+
+      controller.setup()
+      controller.init()
+
+      const [instance] = controller.get()
+      expect(controller.get().length).toBe(1)
+      expect(instance.element.getRootNode()).toBe(shadowRoot)
+
+      shadowRoot.appendChild(document.createElement('div')).className = 'cart-item'
+      await flush()
+
+      expect(controller.get().length).toBe(2)
+      await expect(controller.whenReady('.cart-item')).resolves.toBe(instance)
+
+      controller.clear()
+    })
+  })
+
+  describe('createPlugin observe', () => {
+    it('requires an attribute to observe', () => {
+      expect(() =>
+        createPlugin({
+          selector: '.observed',
+          plugin: function () {},
+          namespace: 'observe-error',
+          observe: true,
+        }),
+      ).toThrow('needs an "attribute" to observe option changes')
+    })
+
+    it('passes option changes to onOptionsChanged', async () => {
+      document.body.innerHTML = `
+				<div class="observed" data-gallery='{"speed": 300}'></div>
+			`
+      const onOptionsChanged = jest.fn()
+      const construct = jest.fn()
+
+      function ObservedPlugin (element, options) {
+        construct(options)
+        return { onOptionsChanged }
+      }
+
+      const controller = createPlugin({
+        selector: '.observed',
+        plugin: ObservedPlugin,
+        namespace: 'observe-test',
+        attribute: 'gallery',
+        observe: true,
+      })
+
+      controller.setup()
+      controller.init()
+
+      const element = document.querySelector('.observed')
+      element.setAttribute('data-gallery--speed', '500')
+      element.setAttribute('data-other', 'ignored')
+      await flush()
+
+      expect(construct).toHaveBeenCalledTimes(1)
+      expect(onOptionsChanged).toHaveBeenCalledTimes(1)
+      expect(onOptionsChanged).toHaveBeenCalledWith(
+        [{ type: 'change', path: 'speed', value: 500, oldValue: 300 }],
+        { speed: 500 },
+      )
+
+      controller.clear()
+    })
+
+    it('ignores attribute updates that do not change options', async () => {
+      document.body.innerHTML = `
+				<div class="observed" data-gallery--speed="300"></div>
+			`
+      const onOptionsChanged = jest.fn()
+
+      const controller = createPlugin({
+        selector: '.observed',
+        plugin: function () {
+          return { onOptionsChanged }
+        },
+        namespace: 'observe-same',
+        attribute: 'gallery',
+        observe: true,
+      })
+
+      controller.setup()
+      controller.init()
+
+      document.querySelector('.observed').setAttribute('data-gallery--speed', '300')
+      await flush()
+
+      expect(onOptionsChanged).not.toHaveBeenCalled()
+
+      controller.clear()
+    })
+
+    it('reloads instances without an onOptionsChanged hook', async () => {
+      document.body.innerHTML = `
+				<div class="observed" data-gallery--speed="300"></div>
+			`
+      const construct = jest.fn()
+
+      const controller = createPlugin({
+        selector: '.observed',
+        plugin: function (element, options) {
+          construct(options)
+          return {}
+        },
+        namespace: 'observe-reload',
+        attribute: 'gallery',
+        observe: true,
+      })
+
+      controller.setup()
+      controller.init()
+
+      document.querySelector('.observed').setAttribute('data-gallery--speed', '500')
+      await flush()
+
+      expect(construct).toHaveBeenCalledTimes(2)
+      expect(construct).toHaveBeenLastCalledWith({ speed: 500 })
+
+      controller.clear()
+    })
+  })
+
+  describe('createPlugin autoInit', () => {
+    it('initializes inserted elements and destroys removed ones', async () => {
+      document.body.innerHTML = '<div class="auto-init">1</div>'
+      const reset = jest.fn()
+
+      const controller = createPlugin({
+        selector: '.auto-init',
+        plugin: function () {
+          return { reset }
+        },
+        namespace: 'auto-init-test',
+        autoInit: true,
+      })
+
+      controller.setup()
+      controller.init()
+      expect(controller.get().length).toBe(1)
+
+      const fragment = document.createElement('section')
+      fragment.innerHTML = '<div class="auto-init">2</div><div class="auto-init">3</div>'
+      document.body.appendChild(fragment)
+      await flush()
+
+      expect(controller.get().length).toBe(3)
+
+      const [first] = document.querySelectorAll('.auto-init')
+      first.remove()
+      await flush()
+
+      expect(reset).toHaveBeenCalledTimes(1)
+      expect(controller.get(first)).toEqual([])
+      expect(controller.get().length).toBe(2)
+
+      controller.clear()
+    })
+
+    it('keeps instances of moved elements', async () => {
+      document.body.innerHTML = '<div id="a"><div class="auto-init"></div></div><div id="b"></div>'
+      const reset = jest.fn()
+
+      const controller = createPlugin({
+        selector: '.auto-init',
+        plugin: function () {
+          return { reset }
+        },
+        namespace: 'auto-init-move',
+        autoInit: true,
+      })
+
+      controller.setup()
+      controller.init()
+
+      const [instance] = controller.get()
+      document.getElementById('b').appendChild(document.querySelector('.auto-init'))
+      await flush()
+
+      expect(reset).not.toHaveBeenCalled()
+      expect(controller.get()[0]).toBe(instance)
+
+      controller.clear()
+    })
+
+    it('stops watching after clear', async () => {
+      const construct = jest.fn()
+
+      const controller = createPlugin({
+        selector: '.auto-init',
+        plugin: function () {
+          construct()
+          return {}
+        },
+        namespace: 'auto-init-clear',
+        autoInit: true,
+      })
+
+      controller.setup()
+      controller.clear()
+
+      document.body.innerHTML = '<div class="auto-init"></div>'
+      await flush()
+
+      expect(construct).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('createPlugin initOn', () => {
+    it('rejects unknown strategies', () => {
+      expect(() =>
+        createPlugin({
+          selector: '.lazy',
+          plugin: function () {},
+          namespace: 'lazy-error',
+          initOn: 'later',
+        }),
+      ).toThrow('unknown initOn strategy "later"')
+    })
+
+    it('initializes elements when they become visible', async () => {
+      document.body.innerHTML = '<div class="lazy">1</div><div class="lazy">2</div>'
+      const NativeObserver = global.IntersectionObserver
+      const observers = []
+      global.IntersectionObserver = class {
+        constructor (callback, options) {
+          this.callback = callback
+          this.options = options
+          this.observe = jest.fn()
+          this.unobserve = jest.fn()
+          this.disconnect = jest.fn()
+          observers.push(this)
+        }
+      }
+
+      const controller = createPlugin({
+        selector: '.lazy',
+        plugin: function () {
+          return {}
+        },
+        namespace: 'lazy-visible',
+        initOn: 'visible',
+        initOnOptions: { rootMargin: '100px' },
+      })
+
+      controller.setup()
+      controller.init()
+
+      const [observer] = observers
+      const [first, second] = document.querySelectorAll('.lazy')
+      expect(observers.length).toBe(1)
+      expect(observer.options.rootMargin).toBe('100px')
+      expect(observer.observe).toHaveBeenCalledTimes(2)
+      expect(controller.get().length).toBe(0)
+
+      const ready = controller.whenReady(first)
+      observer.callback([
+        { target: first, isIntersecting: true },
+        { target: second, isIntersecting: false },
+      ])
+
+      const [instance] = controller.get(first)
+      await expect(ready).resolves.toBe(instance)
+      expect(observer.unobserve).toHaveBeenCalledWith(first)
+      expect(controller.get(second)).toEqual([])
+
+      controller.clear()
+      expect(observer.disconnect).toHaveBeenCalled()
+      global.IntersectionObserver = NativeObserver
+    })
+
+    it('initializes elements when the browser is idle', async () => {
+      document.body.innerHTML = '<div class="lazy"></div>'
+
+      const controller = createPlugin({
+        selector: '.lazy',
+        plugin: function () {
+          return {}
+        },
+        namespace: 'lazy-idle',
+        initOn: 'idle',
+      })
+
+      controller.setup()
+      controller.init()
+      expect(controller.get().length).toBe(0)
+
+      await flush()
+      await flush()
+
+      expect(controller.get().length).toBe(1)
+      await expect(controller.whenReady('.lazy')).resolves.toBe(controller.get()[0])
+
+      controller.clear()
+    })
+
+    it('initializes elements on first interaction', () => {
+      document.body.innerHTML = '<button class="lazy"></button><button class="lazy"></button>'
+      const construct = jest.fn()
+
+      const controller = createPlugin({
+        selector: '.lazy',
+        plugin: function () {
+          construct()
+          return {}
+        },
+        namespace: 'lazy-interaction',
+        initOn: 'interaction',
+      })
+
+      controller.setup()
+      controller.init()
+
+      const [first, second] = document.querySelectorAll('.lazy')
+      first.dispatchEvent(new Event('focusin'))
+      first.dispatchEvent(new Event('pointerdown'))
+
+      expect(construct).toHaveBeenCalledTimes(1)
+      expect(controller.get(first).length).toBe(1)
+      expect(controller.get(second)).toEqual([])
+
+      controller.clear()
+    })
+
+    it('cancels pending elements on destroy', () => {
+      document.body.innerHTML = '<div class="lazy"></div>'
+      const construct = jest.fn()
+
+      const controller = createPlugin({
+        selector: '.lazy',
+        plugin: function () {
+          construct()
+          return {}
+        },
+        namespace: 'lazy-cancel',
+        initOn: 'interaction',
+      })
+
+      controller.setup()
+      controller.init()
+      controller.destroy()
+
+      document.querySelector('.lazy').dispatchEvent(new Event('pointerdown'))
+
+      expect(construct).not.toHaveBeenCalled()
+
+      controller.clear()
+    })
+
+    it('cancels pending elements on clear', () => {
+      document.body.innerHTML = '<div class="lazy"></div>'
+      const construct = jest.fn()
+
+      const controller = createPlugin({
+        selector: '.lazy',
+        plugin: function () {
+          construct()
+          return {}
+        },
+        namespace: 'lazy-clear',
+        initOn: 'interaction',
+      })
+
+      controller.setup()
+      controller.init()
+      controller.clear()
+
+      document.querySelector('.lazy').dispatchEvent(new Event('pointerdown'))
+      expect(construct).not.toHaveBeenCalled()
+
+      controller.setup()
+      controller.init()
+      document.querySelector('.lazy').dispatchEvent(new Event('pointerdown'))
+      expect(construct).toHaveBeenCalledTimes(1)
+
+      controller.clear()
+    })
+
+    it('rejects whenReady for elements failing the schema', async () => {
+      document.body.innerHTML = '<div class="lazy" data-lazy--size="big"></div>'
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+      const controller = createPlugin({
+        selector: '.lazy',
+        plugin: function () {},
+        namespace: 'lazy-invalid',
+        attribute: 'lazy',
+        schema: { size: 'integer' },
+        initOn: 'interaction',
+      })
+
+      controller.setup()
+      controller.init()
+      const ready = controller.whenReady('.lazy')
+      document.querySelector('.lazy').dispatchEvent(new Event('pointerdown'))
+
+      await expect(ready).rejects.toThrow(
+        'Plugin: "lazy-invalid" element options are invalid.',
+      )
+      expect(controller.get()).toEqual([])
+
+      warn.mockRestore()
+      controller.clear()
+    })
+
+    it('rejects whenReady for missing elements', async () => {
+      const controller = createPlugin({
+        selector: '.lazy',
+        plugin: function () {},
+        namespace: 'lazy-missing',
+      })
+
+      await expect(controller.whenReady('.missing')).rejects.toThrow(
+        'element not found',
+      )
+    })
+  })
+
+  describe('plugin lifecycle', () => {
+    const lifecycleEvents = [
+      'beforeInit',
+      'init',
+      'afterInit',
+      'beforeDestroy',
+      'destroyed',
+      'updated',
+    ]
+
+    const record = (namespace) => {
+      const events = []
+      lifecycleEvents.forEach((type) => {
+        getPluginLifecycle(namespace).add(document, type, (event) => {
+          events.push([type, event.detail.instance?.state])
+        })
+      })
+      return events
+    }
+
+    it('dispatches lifecycle events and tracks the instance state', async () => {
+      document.body.innerHTML = '<div class="cycle"></div>'
+      const events = record('lifecycle-sync')
+
+      const controller = createPlugin({
+        selector: '.cycle',
+        plugin: function () {
+          return {}
+        },
+        namespace: 'lifecycle-sync',
+      })
+
+      controller.setup()
+      controller.init()
+
+      const [instance] = controller.get()
+      expect(instance.state).toBe('ready')
+      await expect(instance.ready).resolves.toBe(instance)
+
+      controller.destroy()
+
+      expect(instance.state).toBe('destroyed')
+      expect(events).toEqual([
+        ['beforeInit', undefined],
+        ['init', 'initializing'],
+        ['afterInit', 'ready'],
+        ['beforeDestroy', 'destroying'],
+        ['destroyed', 'destroyed'],
+      ])
+
+      controller.clear()
+      getPluginLifecycle('lifecycle-sync').removeAll()
+    })
+
+    it('waits for an async init', async () => {
+      document.body.innerHTML = '<div class="cycle"></div>'
+      const events = record('lifecycle-async')
+      let done
+
+      const controller = createPlugin({
+        selector: '.cycle',
+        plugin: function () {
+          const onInit = () => new Promise((resolve) => {
+            done = resolve
+          })
+          return { onInit }
+        },
+        namespace: 'lifecycle-async',
+      })
+
+      controller.setup()
+      controller.init()
+
+      const [instance] = controller.get()
+      const ready = controller.whenReady('.cycle')
+      expect(instance.state).toBe('initializing')
+      expect(events.map(([type]) => type)).toEqual(['beforeInit', 'init'])
+
+      done()
+
+      await expect(ready).resolves.toBe(instance)
+      expect(instance.state).toBe('ready')
+      expect(events.at(-1)).toEqual(['afterInit', 'ready'])
+
+      controller.clear()
+      getPluginLifecycle('lifecycle-async').removeAll()
+    })
+
+    it('leaves the plugin init() to the plugin', () => {
+      document.body.innerHTML = '<div class="cycle"></div>'
+      let calls = 0
+
+      class Plugin {
+        constructor () {
+          this.init()
+        }
+
+        init () {
+          calls += 1
+        }
+      }
+
+      const controller = createPlugin({
+        selector: '.cycle',
+        plugin: Plugin,
+        namespace: 'lifecycle-class',
+      })
+
+      controller.setup()
+      controller.init()
+
+      const [instance] = controller.get()
+      expect(calls).toBe(1)
+      expect(instance.state).toBe('ready')
+
+      controller.clear()
+    })
+
+    it('reloads after a pending async init', async () => {
+      document.body.innerHTML = '<div class="cycle"></div>'
+      const calls = []
+      let done
+
+      const controller = createPlugin({
+        selector: '.cycle',
+        plugin: function () {
+          const onInit = () => new Promise((resolve) => {
+            calls.push('init')
+            done = resolve
+          })
+          const reset = () => calls.push('reset')
+          return { onInit, reset }
+        },
+        namespace: 'lifecycle-reload',
+      })
+
+      controller.setup()
+      controller.init()
+      controller.reload()
+
+      expect(calls).toEqual(['init'])
+
+      done()
+      await flush()
+
+      expect(calls).toEqual(['init', 'reset', 'init'])
+
+      controller.clear()
+    })
+
+    it('destroys instances whose init fails', async () => {
+      document.body.innerHTML = '<div class="cycle"></div>'
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+
+      const controller = createPlugin({
+        selector: '.cycle',
+        plugin: function () {
+          return { onInit: () => Promise.reject(new Error('No data')) }
+        },
+        namespace: 'lifecycle-error',
+      })
+
+      controller.setup()
+      controller.init()
+
+      const [instance] = controller.get()
+      await expect(instance.ready).rejects.toThrow('No data')
+      expect(instance.state).toBe('error')
+      expect(instance.error).toEqual(new Error('No data'))
+      expect(controller.get()).toEqual([])
+
+      warn.mockRestore()
+      controller.clear()
+    })
+
+    it('reports a failed init without an unhandled rejection', async () => {
+      document.body.innerHTML = '<div class="cycle"></div>'
+      const element = document.querySelector('.cycle')
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      const unhandled = jest.fn()
+      process.on('unhandledRejection', unhandled)
+      const failed = jest.fn()
+      getPluginLifecycle('lifecycle-failed').add(element, 'initFailed', (event) => {
+        failed(event.detail.error.message, event.detail.instance.state)
+      })
+
+      const controller = createPlugin({
+        selector: '.cycle',
+        plugin: function () {
+          return { onInit: () => Promise.reject(new Error('No data')) }
+        },
+        namespace: 'lifecycle-failed',
+      })
+
+      controller.setup()
+      controller.init()
+      await new Promise((resolve) => setTimeout(resolve, 10))
+
+      expect(unhandled).not.toHaveBeenCalled()
+      expect(failed).toHaveBeenCalledWith('No data', 'error')
+      expect(warn).toHaveBeenCalledWith(
+        'LifecycleFailed: init failed.',
+        new Error('No data'),
+        element,
+      )
+
+      process.off('unhandledRejection', unhandled)
+      warn.mockRestore()
+      controller.clear()
+      getPluginLifecycle('lifecycle-failed').removeAll()
+    })
+
+    it('dispatches updated when options change in place', async () => {
+      document.body.innerHTML = '<div class="cycle" data-cycle--speed="300"></div>'
+      const element = document.querySelector('.cycle')
+      const updated = jest.fn()
+      getPluginLifecycle('lifecycle-updated').add(element, 'updated', (event) => {
+        updated(event.detail.changes, event.detail.options)
+      })
+
+      const controller = createPlugin({
+        selector: '.cycle',
+        plugin: function () {
+          return { onOptionsChanged: () => {} }
+        },
+        namespace: 'lifecycle-updated',
+        attribute: 'cycle',
+        observe: true,
+      })
+
+      controller.setup()
+      controller.init()
+
+      element.setAttribute('data-cycle--speed', '500')
+      await flush()
+
+      expect(updated).toHaveBeenCalledWith(
+        [{ type: 'change', path: 'speed', value: 500, oldValue: 300 }],
+        { speed: 500 },
+      )
+
+      controller.clear()
+      getPluginLifecycle('lifecycle-updated').removeAll()
+    })
   })
 
   describe('createStorePressPlugin', () => {
@@ -229,5 +1105,122 @@ describe('@storepress/utils - Plugin System', () => {
         plugin,
       )
     })
+
+    it('sets up plugins after their dependencies', () => {
+      document.body.innerHTML = '<div class="quick-view"></div>'
+      const calls = []
+      const register = (namespace, dependencies = []) =>
+        createStorePressPlugin({
+          selector: `.${namespace}`,
+          plugin: function () {
+            calls.push(`init:${namespace}`)
+            return {}
+          },
+          namespace,
+          dependencies,
+          callback: { onSetup: () => calls.push(`setup:${namespace}`) },
+        })
+
+      const quickView = register('quick-view', ['gallery'])
+      const gallery = register('gallery', ['tooltip'])
+      const tooltip = register('tooltip')
+
+      quickView.setup()
+      quickView.init()
+      gallery.setup()
+
+      expect(calls).toEqual([])
+      expect(window.StorePress.$Plugins.QuickView.Setup).toBe(false)
+
+      tooltip.setup()
+
+      expect(calls).toEqual([
+        'setup:tooltip',
+        'setup:gallery',
+        'setup:quick-view',
+        'init:quick-view',
+      ])
+      expect(window.StorePress.$Plugins.QuickView.Dependencies).toEqual([
+        'Gallery',
+      ])
+
+      quickView.clear()
+      gallery.clear()
+      tooltip.clear()
+      expect(window.StorePress.$Plugins.Tooltip.Setup).toBe(false)
+    })
+
+    it('stops waiting for dependencies after clear', () => {
+      const onSetup = jest.fn()
+      const gallery = createStorePressPlugin({
+        selector: '.gallery',
+        plugin: function () {},
+        namespace: 'gallery',
+        dependencies: ['tooltip'],
+        callback: { onSetup },
+      })
+      const tooltip = createStorePressPlugin({
+        selector: '.tooltip',
+        plugin: function () {},
+        namespace: 'tooltip',
+      })
+
+      gallery.setup()
+      gallery.clear()
+      tooltip.setup()
+
+      expect(onSetup).not.toHaveBeenCalled()
+
+      tooltip.clear()
+    })
+
+    it('warns about unregistered dependencies', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {})
+      const onSetup = jest.fn()
+      const gallery = createStorePressPlugin({
+        selector: '.gallery',
+        plugin: function () {},
+        namespace: 'gallery',
+        dependencies: ['tooltip', 'lightbox'],
+        callback: { onSetup },
+      })
+      createStorePressPlugin({
+        selector: '.tooltip',
+        plugin: function () {},
+        namespace: 'tooltip',
+      })
+
+      gallery.setup()
+
+      expect(onSetup).not.toHaveBeenCalled()
+      expect(warn).toHaveBeenCalledTimes(1)
+      expect(warn).toHaveBeenCalledWith(
+        'Plugin: "gallery" depends on unregistered plugins: Lightbox. Its setup waits until they are registered and set up.',
+      )
+
+      gallery.clear()
+      warn.mockRestore()
+    })
+
+    it('reports dependency cycles', () => {
+      createStorePressPlugin({
+        selector: '.gallery',
+        plugin: function () {},
+        namespace: 'gallery',
+        dependencies: ['quick-view'],
+      })
+
+      expect(() =>
+        createStorePressPlugin({
+          selector: '.quick-view',
+          plugin: function () {},
+          namespace: 'quick-view',
+          dependencies: ['gallery'],
+        }),
+      ).toThrow(
+        'Plugin: "quick-view" has a dependency cycle: QuickView -> Gallery -> QuickView.',
+      )
+      expect(window.StorePress.$Plugins.QuickView).toBeUndefined()
+    })
   })
 })
\ No newline at end of file
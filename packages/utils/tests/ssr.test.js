@@ -0,0 +1,103 @@
+/**
+ * Tests for server-side usage without a DOM
+ *
+ * @jest-environment node
+ * @package @storepress/utils
+ */
+
+import { JSDOM } from 'jsdom'
+import {
+  hasDOM,
+  setDocument,
+  getElement,
+  getElements,
+  getOptionsFromAttribute,
+  getPluginInstanceStore,
+  triggerEvent,
+  swipeEvent,
+  createEventManager,
+  createEventBus,
+  createStorePressPlugin,
+} from '../src'
+
+describe('@storepress/utils - Server-side rendering', () => {
+  afterEach(() => {
+    setDocument()
+  })
+
+  describe('without a DOM', () => {
+    it('detects the missing DOM', () => {
+      expect(hasDOM()).toBe(false)
+    })
+
+    it('returns empty results from DOM helpers', () => {
+      expect(getElement('#product')).toBeNull()
+      expect(getElements('.product')).toEqual([])
+      expect(getOptionsFromAttribute('#product', 'product')).toEqual({})
+      expect(getPluginInstanceStore('server')).toBeInstanceOf(WeakMap)
+      expect(() => triggerEvent('#product', 'change')).not.toThrow()
+      expect(swipeEvent(null, () => {})()).toBeUndefined()
+    })
+
+    it('keeps event managers and plugin systems inert', () => {
+      const events = createEventManager('server')
+      const plugin = createStorePressPlugin({
+        selector: '.product',
+        plugin: function () {},
+        namespace: 'server',
+      })
+
+      expect(() => {
+        events.add('.product', 'click', () => {})
+        events.trigger('.product', 'click')
+        events.removeAll()
+
+        plugin.setup()
+        plugin.init()
+        plugin.reload()
+        plugin.destroy()
+        plugin.clear()
+      }).not.toThrow()
+      expect(plugin.get()).toEqual([])
+    })
+
+    it('delivers event bus messages without bridging', () => {
+      const bus = createEventBus('server', { bridge: true })
+      const handler = jest.fn()
+      bus.subscribe('cart:*', handler)
+
+      expect(() => bus.publish('cart:updated', { count: 1 })).not.toThrow()
+      expect(handler).toHaveBeenCalledWith({ count: 1 }, 'cart:updated')
+      bus.clear()
+    })
+  })
+
+  describe('with an injected document', () => {
+    it('runs plugins against the document', () => {
+      const { window } = new JSDOM(
+        '<div class="product" data-product--sku="0012"></div>',
+      )
+      setDocument(window.document)
+
+      const plugin = createStorePressPlugin({
+        selector: '.product',
+        plugin: function (element, options) {
+          return { options }
+        },
+        namespace: 'server-dom',
+        attribute: 'product',
+        schema: { sku: 'string' },
+      })
+
+      plugin.setup()
+      plugin.init()
+
+      const [instance] = plugin.get()
+      expect(hasDOM()).toBe(true)
+      expect(instance.options).toEqual({ sku: '0012' })
+      expect(window.StorePress.$Plugins.ServerDom.Plugin).toBe(plugin)
+
+      plugin.clear()
+    })
+  })
+})
@@ -5,6 +5,7 @@
  */
 
 import {
+  splitWords,
   toKebabCase,
   toSnakeCase,
   toConstantCase,
@@ -23,7 +24,7 @@ describe('@storepress/utils - String Case Conversions', () => {
 
     it('converts PascalCase to kebab-case', () => {
       expect(toKebabCase('UserProfile')).toBe('user-profile')
-      expect(toKebabCase('XMLHttpRequest')).toBe('xmlhttp-request')
+      expect(toKebabCase('XMLHttpRequest')).toBe('xml-http-request')
     })
 
     it('converts snake_case to kebab-case', () => {
@@ -66,7 +67,7 @@ describe('@storepress/utils - String Case Conversions', () => {
     })
 
     it('converts PascalCase to snake_case', () => {
-      expect(toSnakeCase('HTTPSConnection')).toBe('httpsconnection')
+      expect(toSnakeCase('HTTPSConnection')).toBe('https_connection')
       expect(toSnakeCase('UserProfile')).toBe('user_profile')
       expect(toSnakeCase('DatabaseConnection')).toBe(
         'database_connection',
@@ -192,4 +193,89 @@ describe('@storepress/utils - String Case Conversions', () => {
       expect(toUpperCamelCase('STOREPRESS')).toBe('StorePress')
     })
   })
-})
\ No newline at end of file
+
+  describe('splitWords', () => {
+    it('splits on separators and case changes', () => {
+      expect(splitWords('getUserById')).toEqual(['get', 'User', 'By', 'Id'])
+      expect(splitWords('config.database_url-value')).toEqual([
+        'config',
+        'database',
+        'url',
+        'value',
+      ])
+      expect(splitWords('--leading  trailing--')).toEqual([
+        'leading',
+        'trailing',
+      ])
+      expect(splitWords('')).toEqual([])
+    })
+
+    it('keeps acronyms together', () => {
+      expect(splitWords('XMLHttpRequest')).toEqual(['XML', 'Http', 'Request'])
+      expect(splitWords('HTML5Parser')).toEqual(['HTML5', 'Parser'])
+      expect(splitWords('API_KEY')).toEqual(['API', 'KEY'])
+    })
+
+    it('keeps numbers with the letters before them', () => {
+      expect(splitWords('iPhone13Pro')).toEqual(['i', 'Phone13', 'Pro'])
+    })
+
+    it('handles Unicode letters', () => {
+      expect(splitWords('tailleChaussure-Été')).toEqual([
+        'taille',
+        'Chaussure',
+        'Été',
+      ])
+      expect(splitWords('размерОдежды')).toEqual(['размер', 'Одежды'])
+      expect(splitWords("Men's Shirts")).toEqual(['Mens', 'Shirts'])
+    })
+
+    it('splits text without spaces with Intl.Segmenter', () => {
+      if (typeof Intl.Segmenter !== 'function') {
+        return
+      }
+      expect(splitWords('สวัสดีครับ', { locale: 'th' }).length).toBeGreaterThan(1)
+    })
+  })
+
+  describe('shared tokenizer', () => {
+    it('gives every converter the same words', () => {
+      const input = 'XMLHttpRequest'
+
+      expect(toKebabCase(input)).toBe('xml-http-request')
+      expect(toSnakeCase(input)).toBe('xml_http_request')
+      expect(toConstantCase(input)).toBe('XML_HTTP_REQUEST')
+      expect(toCamelCase(input)).toBe('xMLHttpRequest')
+      expect(toUpperCamelCase(input)).toBe('XMLHttpRequest')
+    })
+
+    it('keeps the camel case keys of existing names', () => {
+      expect(toCamelCase('myHTMLSlider')).toBe('myHTMLSlider')
+      expect(toCamelCase('slider--autoPlay')).toBe('sliderAutoPlay')
+      expect(toUpperCamelCase('myHTMLSlider')).toBe('MyHTMLSlider')
+      expect(toUpperCamelCase('quick-view')).toBe('QuickView')
+      expect(toUpperCamelCase('woo_variation-swatches')).toBe(
+        'WooVariationSwatches',
+      )
+    })
+
+    it('converts accented and non-Latin names', () => {
+      expect(toKebabCase('Größe Étiquette')).toBe('größe-étiquette')
+      expect(toCamelCase('couleur_dété')).toBe('couleurDété')
+      expect(toConstantCase('размер одежды')).toBe('РАЗМЕР_ОДЕЖДЫ')
+      expect(toUpperCamelCase('ürün adı')).toBe('ÜrünAdı')
+    })
+
+    it('uses locale-specific letter case', () => {
+      expect(toKebabCase('IĞDIR İLİ', { locale: 'tr' })).toBe('ığdır-ili')
+      expect(toKebabCase('IĞDIR', { locale: 'en' })).toBe('iğdir')
+      expect(toConstantCase('istanbul', { locale: 'tr' })).toBe('İSTANBUL')
+      expect(toUpperCamelCase('ilk ürün', { locale: 'tr' })).toBe('İlkÜrün')
+    })
+
+    it('ignores the host locale without a locale option', () => {
+      expect(toConstantCase('item')).toBe('ITEM')
+      expect(toKebabCase('ITEM')).toBe('item')
+    })
+  })
+})